@@ -10,6 +10,11 @@ import DeliveryPoints from './pages/DeliveryPoints';
 import Assignments from './pages/Assignments';
 import DeliveryStatus from './pages/DeliveryStatus';
 import Map from './pages/Map';
+import TripAnalytics from './pages/TripAnalytics';
+import DriverScorecards from './pages/DriverScorecards';
+import RecurringTemplates from './pages/RecurringTemplates';
+import Vehicles from './pages/Vehicles';
+import DriverShifts from './pages/DriverShifts';
 
 function App() {
   return (
@@ -25,10 +30,15 @@ function App() {
                   <Routes>
                     <Route path="/dashboard" element={<Dashboard />} />
                     <Route path="/drivers" element={<Drivers />} />
+                    <Route path="/vehicles" element={<Vehicles />} />
+                    <Route path="/shifts" element={<DriverShifts />} />
                     <Route path="/delivery-points" element={<DeliveryPoints />} />
                     <Route path="/assignments" element={<Assignments />} />
                     <Route path="/deliveries" element={<DeliveryStatus />} />
                     <Route path="/map" element={<Map />} />
+                    <Route path="/trip-analytics" element={<TripAnalytics />} />
+                    <Route path="/scorecards" element={<DriverScorecards />} />
+                    <Route path="/templates" element={<RecurringTemplates />} />
                     <Route path="/" element={<Navigate to="/dashboard" replace />} />
                     <Route path="*" element={<Navigate to="/dashboard" replace />} />
                   </Routes>
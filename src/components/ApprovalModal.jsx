@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { X, CheckCircle, AlertTriangle } from 'lucide-react';
+import { deliveriesAPI } from '../services/api';
+import { recordDeliveryEvent } from '../utils/deliveryHistory';
+import { formatItem, formatItemQuantity } from '../utils/load';
+import { ITEM_OUTCOMES, initialAcceptance, validateAcceptance, summarizeAcceptance } from '../utils/itemAcceptance';
+
+// Approves a completed delivery, recording per item whether it was delivered,
+// short or damaged. Anything not accepted goes out again as a follow-up delivery.
+const ApprovalModal = ({ delivery, locationWarning, onClose, onApproved }) => {
+  const items = delivery.items || [];
+  const [lines, setLines] = useState(() => initialAcceptance(items));
+  // A follow-up created by an earlier attempt that failed further on, so
+  // retrying doesn't create a second one
+  const [followUpDeliveryId, setFollowUpDeliveryId] = useState(delivery.acceptance?.followUpDeliveryId ?? null);
+
+  // The `delivery` prop can predate an attempt made in a modal that has since
+  // been closed, so the follow-up is looked up on the server before creating one
+  const findExistingFollowUp = async () => {
+    const response = await deliveriesAPI.getAll();
+    const existing = response.data.find(d => String(d.followUpOf) === String(delivery.id));
+    return existing?.id ?? null;
+  };
+  const [saving, setSaving] = useState(false);
+
+  const updateLine = (index, changes) => {
+    setLines(prev => prev.map((line, i) => {
+      if (i !== index) return line;
+      const next = { ...line, ...changes };
+      // Switching back to delivered means the whole quantity arrived
+      if (changes.outcome === 'delivered') next.acceptedQuantity = Number(items[i].quantity) || 0;
+      return next;
+    }));
+  };
+
+  const { remainder, partial } = summarizeAcceptance(items, lines);
+
+  const handleApprove = async () => {
+    const error = validateAcceptance(items, lines);
+    if (error) {
+      alert(error);
+      return;
+    }
+    if (partial && !window.confirm(`Approve "${delivery.title}" as a partial delivery? A follow-up delivery with ${remainder.length} item(s) will be created.`)) {
+      return;
+    }
+
+    // The follow-up and the acceptance are saved before the status changes, so
+    // a failure leaves the delivery completed and the approval can be retried
+    setSaving(true);
+    try {
+      const { accepted } = summarizeAcceptance(items, lines);
+
+      let followUpId = partial ? followUpDeliveryId ?? await findExistingFollowUp() : null;
+      if (followUpId) setFollowUpDeliveryId(followUpId);
+      if (partial && !followUpId) {
+        const response = await deliveriesAPI.create({
+          title: `${delivery.title} (follow-up)`,
+          description: delivery.description,
+          destination: delivery.destination,
+          latitude: delivery.latitude,
+          longitude: delivery.longitude,
+          items: remainder,
+          priority: delivery.priority,
+          followUpOf: delivery.id,
+        });
+        followUpId = response.data?.id ?? null;
+        if (followUpId) {
+          setFollowUpDeliveryId(followUpId);
+          await recordDeliveryEvent(followUpId, 'created', { source: 'follow-up', parentId: delivery.id });
+        }
+      }
+
+      await deliveriesAPI.update(delivery.id, { acceptance: { items: accepted, partial, followUpDeliveryId: followUpId } });
+      await deliveriesAPI.approve(delivery.id);
+      await recordDeliveryEvent(delivery.id, 'approved', partial ? { partial: true, followUpDeliveryId: followUpId } : {});
+      alert(partial ? 'Partial delivery approved. A follow-up delivery was created for the remaining items.' : 'Delivery approved successfully!');
+      onApproved();
+    } catch (error) {
+      console.error('Error approving delivery:', error);
+      alert(error.response?.data?.message || 'Failed to approve delivery');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b px-6 py-4 flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-bold text-gray-800">Approve Delivery</h2>
+            <p className="text-sm text-gray-600">{delivery.title}</p>
+          </div>
+          <button onClick={onClose} disabled={saving} className="text-gray-500 hover:text-gray-700">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <p className="text-sm text-gray-600">Please ensure you have reviewed all proof-of-delivery images.</p>
+
+          {locationWarning && (
+            <div className="flex items-start gap-2 bg-red-50 border border-red-200 p-3 rounded-lg text-sm text-red-800">
+              <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <span>{locationWarning}</span>
+            </div>
+          )}
+
+          {items.length > 0 && (
+            <div className="border rounded-lg overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 border-b">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Item</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Outcome</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Accepted</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Notes</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {items.map((item, index) => {
+                    const line = lines[index];
+                    return (
+                      <tr key={index} className={line.outcome !== 'delivered' ? 'bg-yellow-50' : ''}>
+                        <td className="px-3 py-2">
+                          <p className="text-gray-900">{item.name}</p>
+                          <p className="text-xs text-gray-500">Sent: {formatItemQuantity(item)}</p>
+                        </td>
+                        <td className="px-3 py-2">
+                          <select
+                            value={line.outcome}
+                            onChange={(e) => updateLine(index, { outcome: e.target.value })}
+                            className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          >
+                            {Object.entries(ITEM_OUTCOMES).map(([outcome, meta]) => (
+                              <option key={outcome} value={outcome}>{meta.label}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-3 py-2">
+                          <input
+                            type="number"
+                            min="0"
+                            max={Number(item.quantity) || 0}
+                            step="any"
+                            value={Number.isNaN(line.acceptedQuantity) ? '' : line.acceptedQuantity}
+                            disabled={line.outcome === 'delivered'}
+                            onChange={(e) => updateLine(index, { acceptedQuantity: e.target.value === '' ? NaN : Number(e.target.value) })}
+                            className="w-20 px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                          />
+                        </td>
+                        <td className="px-3 py-2">
+                          <input
+                            type="text"
+                            value={line.notes}
+                            onChange={(e) => updateLine(index, { notes: e.target.value })}
+                            placeholder={line.outcome === 'damaged' ? 'Describe the damage' : 'Optional'}
+                            className="w-full px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {partial && (
+            <div className="bg-yellow-50 border border-yellow-200 p-3 rounded-lg text-sm text-yellow-800">
+              <p className="font-semibold">Partial delivery</p>
+              <p>
+                A new pending delivery will be created for:{' '}
+                {remainder.map(formatItem).join(', ')}
+              </p>
+            </div>
+          )}
+
+          <div className="flex gap-3 justify-end">
+            <button
+              onClick={onClose}
+              disabled={saving}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleApprove}
+              disabled={saving}
+              className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+            >
+              <CheckCircle className="w-4 h-4" />
+              {saving ? 'Approving...' : partial ? 'Approve Partial Delivery' : 'Approve Delivery'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ApprovalModal;
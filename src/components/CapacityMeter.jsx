@@ -0,0 +1,56 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { checkCapacity, ratioStatus, formatWeight, formatVolume } from '../utils/load';
+
+const BAR_CLASSES = {
+  ok: 'bg-green-500',
+  warning: 'bg-yellow-500',
+  over: 'bg-red-600',
+};
+
+const Bar = ({ label, used, limit, ratio, format }) => (
+  <div>
+    <div className="flex justify-between text-xs text-gray-600 mb-1">
+      <span>{label}</span>
+      <span>{format(used)} of {format(limit)} ({Math.round(ratio * 100)}%)</span>
+    </div>
+    <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+      <div className={`h-full ${BAR_CLASSES[ratioStatus(ratio)]}`} style={{ width: `${Math.min(ratio, 1) * 100}%` }} />
+    </div>
+  </div>
+);
+
+// Load of a driver's run against their vehicle's weight and volume limits
+const CapacityMeter = ({ load, capacity }) => {
+  const { status, weightRatio, volumeRatio } = checkCapacity(load, capacity);
+
+  if (status === 'unknown') {
+    return (
+      <p className="text-xs text-gray-500">
+        Load {formatWeight(load.weightKg)} • vehicle capacity not set
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      {weightRatio !== null && (
+        <Bar label="Weight" used={load.weightKg} limit={capacity.weightKg} ratio={weightRatio} format={formatWeight} />
+      )}
+      {volumeRatio !== null && (
+        <Bar label="Volume" used={load.volumeM3} limit={capacity.volumeM3} ratio={volumeRatio} format={formatVolume} />
+      )}
+      {status !== 'ok' && (
+        <p className={`flex items-center gap-1 text-xs font-semibold ${status === 'over' ? 'text-red-700' : 'text-yellow-700'}`}>
+          <AlertTriangle className="w-3 h-3" />
+          {status === 'over' ? 'Exceeds vehicle capacity' : 'Close to vehicle capacity'}
+        </p>
+      )}
+      {load.unmeasured > 0 && (
+        <p className="text-xs text-gray-500">{load.unmeasured} item(s) have no weight and are not counted</p>
+      )}
+    </div>
+  );
+};
+
+export default CapacityMeter;
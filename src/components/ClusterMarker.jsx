@@ -0,0 +1,56 @@
+import React from 'react';
+import { Marker, Tooltip, useMap } from 'react-leaflet';
+import L from 'leaflet';
+
+const iconCache = {};
+
+const createClusterIcon = (count, color) => {
+  const key = `${count}-${color}`;
+  if (!iconCache[key]) {
+    const size = count < 10 ? 36 : count < 100 ? 44 : 52;
+    iconCache[key] = L.divIcon({
+      className: 'custom-cluster-marker',
+      html: `
+        <div style="
+          background-color: ${color};
+          width: ${size}px;
+          height: ${size}px;
+          border-radius: 50%;
+          border: 4px solid rgba(255,255,255,0.8);
+          box-shadow: 0 3px 12px rgba(0,0,0,0.4);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          color: white;
+          font-weight: 700;
+          font-size: 14px;
+        ">${count}</div>
+      `,
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2],
+    });
+  }
+  return iconCache[key];
+};
+
+// A group of markers too close to tell apart; clicking zooms in on them
+const ClusterMarker = ({ cluster, color, label }) => {
+  const map = useMap();
+
+  const handleClick = () => {
+    const bounds = L.latLngBounds(cluster.items.map(item => [item.latitude, item.longitude]));
+    map.fitBounds(bounds.pad(0.5), { maxZoom: map.getZoom() + 3 });
+  };
+
+  return (
+    <Marker
+      position={[cluster.latitude, cluster.longitude]}
+      icon={createClusterIcon(cluster.items.length, color)}
+      eventHandlers={{ click: handleClick }}
+    >
+      <Tooltip>{cluster.items.length} {label}</Tooltip>
+    </Marker>
+  );
+};
+
+export default ClusterMarker;
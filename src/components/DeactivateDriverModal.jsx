@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import { X, MapPin, UserX, AlertCircle } from 'lucide-react';
+import { driversAPI, deliveriesAPI } from '../services/api';
+import { recordDeliveryEvent, assignmentEventType } from '../utils/deliveryHistory';
+import { EMPLOYMENT_STATUSES, canAssignDriver, getOpenDeliveries, getUnreviewedDeliveries } from '../utils/driverStatus';
+import StatusBadge from './StatusBadge';
+import { useNow } from '../hooks/useNow';
+
+// Suspends or terminates a driver. Their open deliveries have to be handed
+// over first, either to another driver or back to pending, and their completed
+// ones approved or rejected.
+const DeactivateDriverModal = ({ driver, drivers, onClose, onDeactivated }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('suspended');
+  const [reason, setReason] = useState('');
+  const [deselectedIds, setDeselectedIds] = useState([]); // open deliveries start out selected
+  const [targetDriverId, setTargetDriverId] = useState('');
+  const [working, setWorking] = useState(false);
+  const now = useNow();
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, []);
+
+  const fetchDeliveries = async () => {
+    try {
+      setLoading(true);
+      const response = await deliveriesAPI.getAll();
+      setDeliveries(response.data);
+    } catch (error) {
+      console.error('Error fetching deliveries:', error);
+      alert('Failed to load deliveries');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openDeliveries = getOpenDeliveries(driver, deliveries);
+  const unreviewedDeliveries = getUnreviewedDeliveries(driver, deliveries);
+  const selected = openDeliveries.filter(delivery => !deselectedIds.includes(delivery.id));
+  const targetDrivers = drivers.filter(d => d.id !== driver.id && canAssignDriver(d, now));
+
+  const toggleDelivery = (id) => {
+    setDeselectedIds(deselectedIds.includes(id) ? deselectedIds.filter(i => i !== id) : [...deselectedIds, id]);
+  };
+
+  const handleReassign = async () => {
+    const target = targetDrivers.find(d => String(d.id) === String(targetDriverId));
+    if (!target) {
+      alert('Please choose a driver to hand the deliveries to');
+      return;
+    }
+
+    setWorking(true);
+    try {
+      await Promise.all(selected.map(async (delivery) => {
+        // Its stop number belongs to the old driver's route
+        await deliveriesAPI.update(delivery.id, { routeOrder: null });
+        await deliveriesAPI.assignDriver(delivery.id, target.id);
+        await recordDeliveryEvent(delivery.id, assignmentEventType(delivery), {
+          driverId: target.id,
+          driverName: target.fullname,
+          previousDriverName: driver.fullname,
+        });
+      }));
+      alert(`Reassigned ${selected.length} delivery(ies) to ${target.fullname}`);
+    } catch (error) {
+      console.error('Error reassigning deliveries:', error);
+      alert(error.response?.data?.message || 'Failed to reassign deliveries');
+    } finally {
+      setWorking(false);
+      fetchDeliveries();
+    }
+  };
+
+  const handleReturnToPending = async () => {
+    setWorking(true);
+    try {
+      await Promise.all(selected.map(async (delivery) => {
+        await deliveriesAPI.update(delivery.id, { assignedDriverId: null, driverName: null, routeOrder: null, status: 'pending' });
+        await recordDeliveryEvent(delivery.id, 'unassigned', { driverId: driver.id, driverName: driver.fullname });
+      }));
+      alert(`Returned ${selected.length} delivery(ies) to pending`);
+    } catch (error) {
+      console.error('Error unassigning deliveries:', error);
+      alert(error.response?.data?.message || 'Failed to return deliveries to pending');
+    } finally {
+      setWorking(false);
+      fetchDeliveries();
+    }
+  };
+
+  const handleDeactivate = async () => {
+    const label = EMPLOYMENT_STATUSES[status].label.toLowerCase();
+    if (status === 'terminated' && !window.confirm(`Terminate ${driver.fullname}? This cannot be undone. Their delivery history is kept.`)) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      await driversAPI.update(driver.id, {
+        fullname: driver.fullname,
+        phone: driver.phone,
+        employmentStatus: status,
+        statusReason: reason.trim(),
+        // A terminated driver's vehicle goes back to the pool
+        vehicleId: status === 'terminated' ? null : undefined,
+      });
+      alert(`${driver.fullname} has been ${label}`);
+      onDeactivated();
+    } catch (error) {
+      console.error('Error deactivating driver:', error);
+      alert(error.response?.data?.message || `Failed to mark driver as ${label}`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b px-6 py-4 flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-bold text-gray-800">Deactivate Driver</h2>
+            <p className="text-sm text-gray-600">{driver.fullname}</p>
+          </div>
+          <button onClick={onClose} disabled={working} className="text-gray-500 hover:text-gray-700">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">New Status</label>
+            <div className="space-y-2">
+              <label className="flex items-center gap-2 text-sm text-gray-800 cursor-pointer">
+                <input
+                  type="radio"
+                  name="employmentStatus"
+                  checked={status === 'suspended'}
+                  onChange={() => setStatus('suspended')}
+                />
+                Suspended: can't be assigned deliveries until reinstated
+              </label>
+              <label className="flex items-center gap-2 text-sm text-gray-800 cursor-pointer">
+                <input
+                  type="radio"
+                  name="employmentStatus"
+                  checked={status === 'terminated'}
+                  onChange={() => setStatus('terminated')}
+                />
+                Terminated: permanently deactivated, vehicle released
+              </label>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Reason</label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              rows="2"
+              placeholder="Optional"
+            />
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Open Deliveries</h3>
+            {loading ? (
+              <p className="text-sm text-gray-500">Loading deliveries...</p>
+            ) : openDeliveries.length === 0 ? (
+              <p className="text-sm text-gray-500">No open deliveries. Nothing to hand over.</p>
+            ) : (
+              <>
+                <div className="space-y-2 mb-4">
+                  {openDeliveries.map(delivery => (
+                    <label
+                      key={delivery.id}
+                      className={`flex items-start gap-3 border rounded-lg p-3 cursor-pointer ${
+                        !deselectedIds.includes(delivery.id) ? 'border-blue-600 bg-blue-50' : 'border-gray-200'
+                      }`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={!deselectedIds.includes(delivery.id)}
+                        onChange={() => toggleDelivery(delivery.id)}
+                        className="mt-1"
+                      />
+                      <div className="flex-1">
+                        <div className="flex items-center gap-2">
+                          <span className="font-semibold text-gray-800">{delivery.title}</span>
+                          <StatusBadge status={delivery.status} />
+                        </div>
+                        <div className="flex items-center gap-1 text-sm text-gray-600">
+                          <MapPin className="w-3 h-3" />
+                          {delivery.destination}
+                        </div>
+                      </div>
+                    </label>
+                  ))}
+                </div>
+
+                <div className="flex flex-wrap items-center gap-2">
+                  <select
+                    value={targetDriverId}
+                    onChange={(e) => setTargetDriverId(e.target.value)}
+                    className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">-- Hand over to --</option>
+                    {targetDrivers.map(d => (
+                      <option key={d.id} value={d.id}>{d.fullname} (@{d.username})</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleReassign}
+                    disabled={working || selected.length === 0 || !targetDriverId}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Reassign {selected.length}
+                  </button>
+                  <button
+                    onClick={handleReturnToPending}
+                    disabled={working || selected.length === 0}
+                    className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Return {selected.length} to Pending
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+
+          {!loading && unreviewedDeliveries.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Awaiting Review</h3>
+              <div className="space-y-2">
+                {unreviewedDeliveries.map(delivery => (
+                  <div key={delivery.id} className="flex items-center gap-2 border border-gray-200 rounded-lg p-3">
+                    <span className="font-semibold text-gray-800">{delivery.title}</span>
+                    <StatusBadge status={delivery.status} />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {!loading && openDeliveries.length > 0 && (
+            <div className="flex items-start gap-2 bg-yellow-50 border border-yellow-200 p-3 rounded-lg text-sm text-yellow-800">
+              <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <span>Hand over all open deliveries before deactivating {driver.fullname}.</span>
+            </div>
+          )}
+
+          {!loading && unreviewedDeliveries.length > 0 && (
+            <div className="flex items-start gap-2 bg-yellow-50 border border-yellow-200 p-3 rounded-lg text-sm text-yellow-800">
+              <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <span>Approve or reject {driver.fullname}'s completed deliveries on the Delivery Status page before deactivating them.</span>
+            </div>
+          )}
+
+          <div className="flex gap-3 justify-end">
+            <button
+              onClick={onClose}
+              disabled={working}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleDeactivate}
+              disabled={working || loading || openDeliveries.length > 0 || unreviewedDeliveries.length > 0}
+              className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+              <UserX className="w-4 h-4" />
+              {status === 'terminated' ? 'Terminate Driver' : 'Suspend Driver'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeactivateDriverModal;
@@ -0,0 +1,254 @@
+import React, { useState } from 'react';
+import { X, Upload, CheckCircle, AlertCircle, FileSpreadsheet } from 'lucide-react';
+import { deliveriesAPI } from '../services/api';
+import { recordDeliveryEvent } from '../utils/deliveryHistory';
+import { formatItem } from '../utils/load';
+import { IMPORT_FIELDS, readSpreadsheet, guessColumnMapping, buildImportRows } from '../utils/deliveryImport';
+
+// Bulk import of deliveries from a CSV/XLSX file: pick a file, map columns,
+// review per-row validation, then create the valid rows one by one.
+const DeliveryImportModal = ({ onClose, onImported }) => {
+  const [fileName, setFileName] = useState('');
+  const [sheet, setSheet] = useState(null); // { headers, rows }
+  const [mapping, setMapping] = useState({});
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [results, setResults] = useState(null); // [{ rowNumber, title, ok, message }]
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const parsed = await readSpreadsheet(file);
+      if (parsed.rows.length === 0) {
+        alert('The file has no delivery rows');
+        return;
+      }
+      setFileName(file.name);
+      setSheet(parsed);
+      setMapping(guessColumnMapping(parsed.headers));
+      setResults(null);
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      alert('Failed to read the file. Please upload a CSV or Excel spreadsheet.');
+    }
+  };
+
+  const handleMappingChange = (field, value) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      if (value === '') {
+        delete next[field];
+      } else {
+        next[field] = Number(value);
+      }
+      return next;
+    });
+  };
+
+  const rows = sheet ? buildImportRows(sheet.rows, mapping) : [];
+  const validRows = rows.filter(row => row.errors.length === 0);
+  const invalidCount = rows.length - validRows.length;
+
+  const handleImport = async () => {
+    if (!window.confirm(`Create ${validRows.length} deliveries?${invalidCount > 0 ? ` ${invalidCount} rows with errors will be skipped.` : ''}`)) {
+      return;
+    }
+
+    setImporting(true);
+    setProgress(0);
+    const outcome = rows
+      .filter(row => row.errors.length > 0)
+      .map(row => ({ rowNumber: row.rowNumber, title: row.data.title, ok: false, message: row.errors.join('; ') }));
+
+    // One at a time so a large morning batch doesn't flood the API
+    for (const row of validRows) {
+      try {
+        const response = await deliveriesAPI.create(row.data);
+        if (response.data?.id) await recordDeliveryEvent(response.data.id, 'created', { source: 'import' });
+        outcome.push({ rowNumber: row.rowNumber, title: row.data.title, ok: true });
+      } catch (error) {
+        console.error(`Error importing row ${row.rowNumber}:`, error);
+        outcome.push({
+          rowNumber: row.rowNumber,
+          title: row.data.title,
+          ok: false,
+          message: error.response?.data?.message || 'Failed to create delivery',
+        });
+      }
+      setProgress(prev => prev + 1);
+    }
+
+    setResults(outcome.sort((a, b) => a.rowNumber - b.rowNumber));
+    setImporting(false);
+    if (outcome.some(result => result.ok)) onImported();
+  };
+
+  const succeeded = results ? results.filter(result => result.ok) : [];
+  const failed = results ? results.filter(result => !result.ok) : [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b px-6 py-4 flex justify-between items-center">
+          <h2 className="text-xl font-bold text-gray-800">Import Deliveries</h2>
+          <button onClick={onClose} disabled={importing} className="text-gray-500 hover:text-gray-700">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {results ? (
+            <div>
+              <div className="grid grid-cols-2 gap-4 mb-4">
+                <div className="bg-green-50 p-4 rounded-lg">
+                  <p className="text-sm text-green-700">Created</p>
+                  <p className="text-2xl font-bold text-green-800">{succeeded.length}</p>
+                </div>
+                <div className="bg-red-50 p-4 rounded-lg">
+                  <p className="text-sm text-red-700">Failed or skipped</p>
+                  <p className="text-2xl font-bold text-red-800">{failed.length}</p>
+                </div>
+              </div>
+
+              {failed.length > 0 && (
+                <div className="space-y-2">
+                  {failed.map(result => (
+                    <div key={result.rowNumber} className="flex items-start gap-2 text-sm bg-red-50 p-2 rounded">
+                      <AlertCircle className="w-4 h-4 text-red-600 mt-0.5 flex-shrink-0" />
+                      <span>
+                        <span className="font-semibold">Row {result.rowNumber}</span>
+                        {result.title && ` (${result.title})`}: {result.message}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="mt-6 flex justify-end">
+                <button
+                  onClick={onClose}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                >
+                  Done
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">Spreadsheet</label>
+                <label className="flex items-center justify-center gap-2 w-full px-4 py-6 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-blue-400 cursor-pointer">
+                  <FileSpreadsheet className="w-5 h-5" />
+                  <span>{fileName || 'Choose a CSV or Excel file'}</span>
+                  <input
+                    type="file"
+                    accept=".csv,.xlsx"
+                    onChange={handleFileChange}
+                    disabled={importing}
+                    className="hidden"
+                  />
+                </label>
+                <p className="text-xs text-gray-500 mt-2">
+                  One delivery per row. Write items as "name x quantity" separated by semicolons, e.g. "Rice x 2; Water x 10".
+                </p>
+              </div>
+
+              {sheet && (
+                <>
+                  <div>
+                    <h3 className="text-sm font-semibold text-gray-700 mb-2">Column Mapping</h3>
+                    <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                      {IMPORT_FIELDS.map(field => (
+                        <div key={field.key}>
+                          <label className="block text-xs font-semibold text-gray-600 mb-1">
+                            {field.label}{field.required && ' *'}
+                          </label>
+                          <select
+                            value={mapping[field.key] ?? ''}
+                            onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                            disabled={importing}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          >
+                            <option value="">-- Not mapped --</option>
+                            {sheet.headers.map((header, index) => (
+                              <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                            ))}
+                          </select>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div>
+                    <h3 className="text-sm font-semibold text-gray-700 mb-2">
+                      Preview: {validRows.length} ready, {invalidCount} with errors
+                    </h3>
+                    <div className="border rounded-lg overflow-x-auto max-h-80">
+                      <table className="w-full text-sm">
+                        <thead className="bg-gray-50 border-b sticky top-0">
+                          <tr>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Title</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Destination</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Items</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Check</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                          {rows.map(row => (
+                            <tr key={row.rowNumber} className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                              <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                              <td className="px-3 py-2 text-gray-900">{row.data.title}</td>
+                              <td className="px-3 py-2 text-gray-600">{row.data.destination}</td>
+                              <td className="px-3 py-2 text-gray-600">
+                                {row.data.items.map(formatItem).join(', ')}
+                              </td>
+                              <td className="px-3 py-2">
+                                {row.errors.length === 0 ? (
+                                  <CheckCircle className="w-4 h-4 text-green-600" />
+                                ) : (
+                                  <ul className="text-xs text-red-700 list-disc list-inside">
+                                    {row.errors.map((error, index) => <li key={index}>{error}</li>)}
+                                  </ul>
+                                )}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                </>
+              )}
+
+              <div className="flex gap-3 justify-end items-center">
+                {importing && (
+                  <span className="text-sm text-gray-600">Creating {progress} of {validRows.length}...</span>
+                )}
+                <button
+                  onClick={onClose}
+                  disabled={importing}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleImport}
+                  disabled={importing || validRows.length === 0}
+                  className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <Upload className="w-4 h-4" />
+                  Import {validRows.length} Deliveries
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeliveryImportModal;
@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import { History } from 'lucide-react';
+import { deliveriesAPI } from '../services/api';
+import { HISTORY_EVENT_TYPES, buildTimeline } from '../utils/deliveryHistory';
+
+const formatDateTime = (millis) => {
+  if (millis === null) return 'Time unknown';
+  return new Date(millis).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const describeEvent = (event) => {
+  switch (event.type) {
+    case 'assigned':
+      return `Assigned to ${event.driverName || 'a driver'}`;
+    case 'reassigned':
+      return event.previousDriverName
+        ? `Reassigned from ${event.previousDriverName} to ${event.driverName || 'a driver'}`
+        : `Reassigned to ${event.driverName || 'a driver'}`;
+    case 'unassigned':
+      return event.driverName ? `Unassigned from ${event.driverName}` : 'Unassigned';
+    case 'approved':
+      return event.partial ? 'Approved as a partial delivery' : 'Approved';
+    case 'rejected':
+      if (event.returnedToDriver) return `Rejected and sent back to ${event.driverName || 'the driver'}`;
+      return event.driverName ? `Rejected (driver: ${event.driverName})` : 'Rejected';
+    default:
+      return HISTORY_EVENT_TYPES[event.type]?.label || event.type;
+  }
+};
+
+// Status history of a delivery, loaded when the detail modal opens
+const DeliveryTimeline = ({ delivery }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchHistory = async () => {
+      setLoading(true);
+      try {
+        const response = await deliveriesAPI.getHistory(delivery.id);
+        if (!cancelled) setEvents(response.data || []);
+      } catch (error) {
+        console.error('Error fetching delivery history:', error);
+        if (!cancelled) setEvents([]);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [delivery.id]);
+
+  const timeline = buildTimeline(delivery, events);
+
+  return (
+    <div>
+      <label className="text-sm font-semibold text-gray-600 mb-2 flex items-center gap-2">
+        <History className="w-4 h-4" />
+        Status History
+      </label>
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading history...</p>
+      ) : timeline.length === 0 ? (
+        <p className="text-sm text-gray-500">No history recorded</p>
+      ) : (
+        <ol className="relative border-l-2 border-gray-200 ml-2 space-y-4">
+          {timeline.map((event, index) => (
+            <li key={index} className="ml-4">
+              <span
+                className={`absolute -left-[7px] mt-1.5 w-3 h-3 rounded-full ${HISTORY_EVENT_TYPES[event.type]?.color || 'bg-gray-400'}`}
+              />
+              <p className="text-sm font-semibold text-gray-800">{describeEvent(event)}</p>
+              {event.reason && (
+                <p className="text-sm text-red-700">Reason: {event.reason}</p>
+              )}
+              <p className="text-xs text-gray-500">
+                {formatDateTime(event.time)}
+                {event.actorName && ` • by ${event.actorName}`}
+              </p>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default DeliveryTimeline;
@@ -0,0 +1,211 @@
+import React, { useState } from 'react';
+import { X, Plus, Trash2, Upload, FileText } from 'lucide-react';
+import { driversAPI } from '../services/api';
+import { DOCUMENT_TYPES, getDocuments, getExpiryState } from '../utils/driverDocuments';
+import ExpiryBadge from './ExpiryBadge';
+import { useNow } from '../hooks/useNow';
+
+const emptyDocument = (type) => ({ type, number: '', licenceClass: '', expiryDate: '', fileUrl: null, fileName: null });
+
+// Edits the licence, ID card and permits kept on a driver record. New files
+// are only uploaded on save.
+const DriverDocumentsModal = ({ driver, onClose, onSaved }) => {
+  const [documents, setDocuments] = useState(() => {
+    const existing = getDocuments(driver);
+    // Every driver needs a licence, so always offer one
+    return existing.some(document => document.type === 'licence') ? existing : [emptyDocument('licence'), ...existing];
+  });
+  const [files, setFiles] = useState({}); // index -> File waiting to be uploaded
+  const [saving, setSaving] = useState(false);
+  const now = useNow();
+
+  const updateDocument = (index, changes) => {
+    setDocuments(documents.map((document, i) => (i === index ? { ...document, ...changes } : document)));
+  };
+
+  const handleRemove = (index) => {
+    setDocuments(documents.filter((_, i) => i !== index));
+    // Pending files follow their document's position
+    const remaining = {};
+    Object.entries(files).forEach(([i, file]) => {
+      if (Number(i) < index) remaining[i] = file;
+      if (Number(i) > index) remaining[Number(i) - 1] = file;
+    });
+    setFiles(remaining);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    // Blank rows (such as an untouched licence row) aren't saved
+    const filled = documents
+      .map((document, index) => ({ document, file: files[index] }))
+      .filter(({ document, file }) => document.number.trim() || document.expiryDate || document.fileUrl || file);
+    if (filled.some(({ document }) => !document.number.trim())) {
+      alert('Every document needs a number');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = [];
+      for (const { document, file } of filled) {
+        if (file) {
+          const response = await driversAPI.uploadDocument(driver.id, file);
+          saved.push({ ...document, number: document.number.trim(), fileUrl: response.data.url, fileName: file.name });
+        } else {
+          saved.push({ ...document, number: document.number.trim() });
+        }
+      }
+
+      await driversAPI.update(driver.id, { fullname: driver.fullname, phone: driver.phone, documents: saved });
+      alert('Documents saved');
+      onSaved();
+    } catch (error) {
+      console.error('Error saving documents:', error);
+      alert(error.response?.data?.message || 'Failed to save documents');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b px-6 py-4 flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-bold text-gray-800">Driver Documents</h2>
+            <p className="text-sm text-gray-600">{driver.fullname}</p>
+          </div>
+          <button onClick={onClose} disabled={saving} className="text-gray-500 hover:text-gray-700">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          {documents.map((document, index) => (
+            <div key={index} className="border rounded-lg p-4">
+              <div className="flex items-center justify-between mb-3">
+                <div className="flex items-center gap-2">
+                  <select
+                    value={document.type}
+                    onChange={(e) => updateDocument(index, { type: e.target.value })}
+                    className="px-3 py-1 border border-gray-300 rounded-lg font-semibold text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {Object.entries(DOCUMENT_TYPES).map(([type, { label }]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </select>
+                  {document.expiryDate && <ExpiryBadge expiry={getExpiryState(document, now)} />}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(index)}
+                  className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                  title="Remove"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-1">Number *</label>
+                  <input
+                    type="text"
+                    value={document.number}
+                    onChange={(e) => updateDocument(index, { number: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                {document.type === 'licence' && (
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-1">Class</label>
+                    <input
+                      type="text"
+                      value={document.licenceClass || ''}
+                      onChange={(e) => updateDocument(index, { licenceClass: e.target.value })}
+                      placeholder="e.g. B, C1"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                )}
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-1">Expiry Date</label>
+                  <input
+                    type="date"
+                    value={document.expiryDate || ''}
+                    onChange={(e) => updateDocument(index, { expiryDate: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              </div>
+
+              <div className="flex items-center gap-3 mt-3 text-sm">
+                {document.fileUrl && !files[index] && (
+                  <a
+                    href={document.fileUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="flex items-center gap-1 text-blue-600 hover:text-blue-800"
+                  >
+                    <FileText className="w-4 h-4" />
+                    {document.fileName || 'View file'}
+                  </a>
+                )}
+                {files[index] && <span className="text-gray-700">{files[index].name} (uploads on save)</span>}
+                <label className="flex items-center gap-1 text-gray-600 hover:text-blue-600 cursor-pointer">
+                  <Upload className="w-4 h-4" />
+                  {document.fileUrl || files[index] ? 'Replace file' : 'Upload file'}
+                  <input
+                    type="file"
+                    accept="image/*,application/pdf"
+                    onChange={(e) => {
+                      const file = e.target.files[0];
+                      if (file) setFiles({ ...files, [index]: file });
+                      e.target.value = '';
+                    }}
+                    className="hidden"
+                  />
+                </label>
+              </div>
+            </div>
+          ))}
+
+          <div className="flex gap-2">
+            {Object.entries(DOCUMENT_TYPES).map(([type, { label }]) => (
+              <button
+                key={type}
+                type="button"
+                onClick={() => setDocuments([...documents, emptyDocument(type)])}
+                className="flex items-center gap-1 px-3 py-1 text-sm border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                <Plus className="w-4 h-4" />
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex gap-3 justify-end pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={saving}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Documents'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default DriverDocumentsModal;
@@ -0,0 +1,25 @@
+import React from 'react';
+import { Timer } from 'lucide-react';
+import { formatDuration } from '../utils/time';
+
+// Estimated arrival for an assigned delivery; `eta` comes from utils/eta
+const EtaBadge = ({ eta, className = '' }) => {
+  if (!eta) return null;
+
+  const arrival = new Date(eta.eta).toLocaleTimeString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  return (
+    <div className={`flex items-center gap-2 text-sm text-indigo-700 ${className}`}>
+      <Timer className="w-4 h-4 flex-shrink-0" />
+      <span>
+        ETA {arrival} (~{formatDuration(eta.duration)}, stop #{eta.queuePosition})
+        {eta.stale && <span className="text-orange-600"> • location outdated</span>}
+      </span>
+    </div>
+  );
+};
+
+export default EtaBadge;
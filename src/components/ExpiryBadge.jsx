@@ -0,0 +1,13 @@
+import React from 'react';
+import { EXPIRY_STATES, describeExpiry } from '../utils/driverDocuments';
+
+// Expiry pill for a document; `expiry` comes from getExpiryState
+const ExpiryBadge = ({ expiry }) => {
+  return (
+    <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${EXPIRY_STATES[expiry.state].badgeClass}`}>
+      {describeExpiry(expiry)}
+    </span>
+  );
+};
+
+export default ExpiryBadge;
@@ -0,0 +1,71 @@
+import React from 'react';
+import { Polygon, Circle, Polyline, CircleMarker, Tooltip, useMapEvents } from 'react-leaflet';
+import { ZONE_CATEGORIES } from '../utils/geofence';
+import { distanceMeters } from '../utils/geo';
+
+const toLatLng = (point) => [point.latitude, point.longitude];
+
+const zoneColor = (zone) => (ZONE_CATEGORIES[zone.category] || ZONE_CATEGORIES.customer).color;
+
+// Saved zones
+export const ZoneShapes = ({ zones }) => {
+  return zones.map((zone) => {
+    const pathOptions = { color: zoneColor(zone), weight: 2, fillOpacity: 0.15 };
+    const tooltip = (
+      <Tooltip sticky>
+        <span className="font-semibold">{zone.name}</span>
+        <span className="text-gray-500"> • {ZONE_CATEGORIES[zone.category]?.label}</span>
+      </Tooltip>
+    );
+
+    return zone.shape === 'circle' ? (
+      <Circle key={zone.id} center={toLatLng(zone.center)} radius={zone.radius} pathOptions={pathOptions}>
+        {tooltip}
+      </Circle>
+    ) : (
+      <Polygon key={zone.id} positions={(zone.points || []).map(toLatLng)} pathOptions={pathOptions}>
+        {tooltip}
+      </Polygon>
+    );
+  });
+};
+
+// Click handling and preview while a zone is being drawn.
+// Polygons collect a vertex per click; circles take a center click then an edge click.
+export const ZoneDrawer = ({ draft, onDraftChange }) => {
+  useMapEvents({
+    click: (e) => {
+      const point = { latitude: e.latlng.lat, longitude: e.latlng.lng };
+
+      if (draft.shape === 'polygon') {
+        onDraftChange({ ...draft, points: [...draft.points, point] });
+      } else if (!draft.center) {
+        onDraftChange({ ...draft, center: point });
+      } else {
+        onDraftChange({ ...draft, radius: Math.round(distanceMeters(draft.center, point)) });
+      }
+    },
+  });
+
+  const pathOptions = { color: '#8b5cf6', weight: 2, dashArray: '6 6', fillOpacity: 0.1 };
+
+  if (draft.shape === 'circle') {
+    if (!draft.center) return null;
+    return draft.radius ? (
+      <Circle center={toLatLng(draft.center)} radius={draft.radius} pathOptions={pathOptions} />
+    ) : (
+      <CircleMarker center={toLatLng(draft.center)} radius={5} pathOptions={pathOptions} />
+    );
+  }
+
+  return (
+    <>
+      {draft.points.length > 1 && (
+        <Polyline positions={draft.points.map(toLatLng)} pathOptions={pathOptions} />
+      )}
+      {draft.points.map((point, index) => (
+        <CircleMarker key={index} center={toLatLng(point)} radius={5} pathOptions={pathOptions} />
+      ))}
+    </>
+  );
+};
@@ -11,7 +11,12 @@ import {
   LogOut,
   Menu,
   X,
-  Truck
+  Truck,
+  Route,
+  Repeat,
+  Car,
+  CalendarDays,
+  Award
 } from 'lucide-react';
 
 const Layout = ({ children }) => {
@@ -28,10 +33,15 @@ const Layout = ({ children }) => {
   const menuItems = [
     { path: '/dashboard', icon: LayoutDashboard, label: 'Dashboard' },
     { path: '/drivers', icon: Users, label: 'Drivers' },
+    { path: '/vehicles', icon: Car, label: 'Vehicles' },
+    { path: '/shifts', icon: CalendarDays, label: 'Shifts' },
     { path: '/delivery-points', icon: MapPin, label: 'Delivery Points' },
     { path: '/assignments', icon: Package, label: 'Assignments' },
     { path: '/deliveries', icon: CheckSquare, label: 'Delivery Status' },
+    { path: '/templates', icon: Repeat, label: 'Recurring' },
     { path: '/map', icon: Map, label: 'Live Map' },
+    { path: '/trip-analytics', icon: Route, label: 'Trip Analytics' },
+    { path: '/scorecards', icon: Award, label: 'Scorecards' },
   ];
 
   const isActive = (path) => location.pathname === path;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { MapContainer, TileLayer, Marker, useMapEvents } from 'react-leaflet';
+import { DEFAULT_CENTER, TILE_URL, TILE_ATTRIBUTION } from '../utils/leaflet';
+import { hasCoordinates } from '../utils/geo';
+
+const toPoint = (latlng) => ({
+  latitude: Number(latlng.lat.toFixed(6)),
+  longitude: Number(latlng.lng.toFixed(6)),
+});
+
+const ClickToPlace = ({ onPick }) => {
+  useMapEvents({
+    click: (e) => onPick(toPoint(e.latlng)),
+  });
+  return null;
+};
+
+// Click-to-place map input. `value` is { latitude, longitude } or null.
+const LocationPicker = ({ value, onChange, height = 256 }) => {
+  const position = hasCoordinates(value) ? [value.latitude, value.longitude] : null;
+
+  return (
+    <div className="rounded-lg overflow-hidden border border-gray-300" style={{ height }}>
+      <MapContainer
+        center={position || DEFAULT_CENTER}
+        zoom={13}
+        style={{ height: '100%', width: '100%' }}
+      >
+        <TileLayer attribution={TILE_ATTRIBUTION} url={TILE_URL} />
+        <ClickToPlace onPick={onChange} />
+        {position && (
+          <Marker
+            position={position}
+            draggable
+            eventHandlers={{
+              dragend: (e) => onChange(toPoint(e.target.getLatLng())),
+            }}
+          />
+        )}
+      </MapContainer>
+    </div>
+  );
+};
+
+export default LocationPicker;
@@ -0,0 +1,19 @@
+import { useEffect } from 'react';
+import { useMap, useMapEvents } from 'react-leaflet';
+
+// Reports the map's zoom and (padded) bounds whenever the view settles
+const MapViewport = ({ onChange, padding = 0.25 }) => {
+  const map = useMap();
+
+  useMapEvents({
+    moveend: () => onChange({ zoom: map.getZoom(), bounds: map.getBounds().pad(padding) }),
+  });
+
+  useEffect(() => {
+    onChange({ zoom: map.getZoom(), bounds: map.getBounds().pad(padding) });
+  }, [map, onChange, padding]);
+
+  return null;
+};
+
+export default MapViewport;
@@ -0,0 +1,14 @@
+import React from 'react';
+import { PRIORITIES, getPriority } from '../utils/priority';
+
+const PriorityBadge = ({ delivery }) => {
+  const priority = PRIORITIES[getPriority(delivery)];
+
+  return (
+    <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${priority.badgeClass}`}>
+      {priority.label}
+    </span>
+  );
+};
+
+export default PriorityBadge;
@@ -0,0 +1,238 @@
+import React, { useState } from 'react';
+import { X, XCircle, ImagePlus } from 'lucide-react';
+import { deliveriesAPI } from '../services/api';
+import { getUser } from '../utils/auth';
+import { recordDeliveryEvent } from '../utils/deliveryHistory';
+import { canTransition } from '../utils/deliveryLifecycle';
+import { getAssignmentBlocker } from '../utils/driverStatus';
+import { useNow } from '../hooks/useNow';
+import { OTHER_REASON_CODE, getReasonLabel, describeRejection, getRejections } from '../utils/rejection';
+
+// Rejects a completed delivery with a reason code, notes and optional reference
+// photos, either sending it back to the same driver or returning it to pending.
+// `driver` is the assigned driver's record, or null if it couldn't be loaded;
+// sending back counts as assigning, so it's offered only if they can take it.
+const RejectionModal = ({ delivery, driver, reasons, onClose, onRejected }) => {
+  const [reasonCode, setReasonCode] = useState('');
+  const [note, setNote] = useState('');
+  const [photos, setPhotos] = useState([]); // [{ file, preview }]
+  const now = useNow();
+  let driverBlocker = null;
+  if (delivery.assignedDriverId) {
+    driverBlocker = driver
+      ? getAssignmentBlocker(driver, now)
+      : "The driver's record couldn't be loaded, so the delivery can't be sent back to them.";
+  }
+  const canReturn = Boolean(delivery.assignedDriverId) && canTransition(delivery.status, 'returnToDriver') && !driverBlocker;
+  const [returnToDriver, setReturnToDriver] = useState(canReturn);
+  // Also covers a licence expiring while the dialog is open
+  const sendBack = returnToDriver && canReturn;
+  const [saving, setSaving] = useState(false);
+
+  const handlePhotoChange = (e) => {
+    const files = Array.from(e.target.files);
+    setPhotos(prev => [...prev, ...files.map(file => ({ file, preview: URL.createObjectURL(file) }))]);
+    e.target.value = '';
+  };
+
+  const handleRemovePhoto = (index) => {
+    URL.revokeObjectURL(photos[index].preview);
+    setPhotos(photos.filter((_, i) => i !== index));
+  };
+
+  // Frees the local previews before the dialog goes away
+  const handleClose = () => {
+    photos.forEach(photo => URL.revokeObjectURL(photo.preview));
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reasonCode) {
+      alert('Please choose a rejection reason');
+      return;
+    }
+    if (reasonCode === OTHER_REASON_CODE && !note.trim()) {
+      alert('Please describe the reason for rejecting');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const photoUrls = [];
+      for (const photo of photos) {
+        const response = await deliveriesAPI.uploadRejectionPhoto(delivery.id, photo.file);
+        photoUrls.push(response.data.url);
+      }
+
+      const admin = getUser();
+      const rejection = {
+        reasonCode,
+        reasonLabel: getReasonLabel(reasons, reasonCode),
+        note: note.trim(),
+        photos: photoUrls,
+        driverId: delivery.assignedDriverId ?? null,
+        driverName: delivery.driverName ?? null,
+        // The completion being undone, which the update below clears
+        completedAt: delivery.completedAt ?? null,
+        returnedToDriver: sendBack,
+        rejectedAt: new Date().toISOString(),
+        rejectedBy: admin?.fullname || admin?.username || null,
+      };
+      const reason = describeRejection(rejection);
+      // Starts from getRejections so a legacy single rejectionReason is kept
+      const rejections = [...getRejections(delivery), rejection];
+
+      await deliveriesAPI.update(delivery.id, sendBack
+        ? { status: 'assigned', completedAt: null, rejectionReason: reason, rejections }
+        : { status: 'pending', assignedDriverId: null, driverName: null, routeOrder: null, completedAt: null, rejectionReason: reason, rejections });
+      await recordDeliveryEvent(delivery.id, 'rejected', {
+        reason,
+        reasonCode,
+        photos: photoUrls,
+        driverId: delivery.assignedDriverId,
+        driverName: delivery.driverName,
+        returnedToDriver: sendBack,
+      });
+      alert(sendBack
+        ? `Delivery rejected and sent back to ${delivery.driverName} for correction`
+        : 'Delivery rejected and set back to pending');
+      photos.forEach(photo => URL.revokeObjectURL(photo.preview));
+      onRejected();
+    } catch (error) {
+      console.error('Error rejecting delivery:', error);
+      alert(error.response?.data?.message || 'Failed to reject delivery');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const previousCount = getRejections(delivery).length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b px-6 py-4 flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-bold text-gray-800">Reject Delivery</h2>
+            <p className="text-sm text-gray-600">{delivery.title}</p>
+          </div>
+          <button onClick={handleClose} disabled={saving} className="text-gray-500 hover:text-gray-700">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          {previousCount > 0 && (
+            <p className="text-sm text-orange-700 bg-orange-50 p-3 rounded-lg">
+              This delivery has been rejected {previousCount} time(s) before.
+            </p>
+          )}
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Reason *</label>
+            <div className="space-y-2">
+              {reasons.map(reason => (
+                <label key={reason.code} className="flex items-center gap-2 text-sm text-gray-800 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="reasonCode"
+                    value={reason.code}
+                    checked={reasonCode === reason.code}
+                    onChange={() => setReasonCode(reason.code)}
+                    className="text-red-600 focus:ring-red-500"
+                  />
+                  {reason.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              Details {reasonCode === OTHER_REASON_CODE && '*'}
+            </label>
+            <textarea
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              rows="3"
+              placeholder="What should the driver fix?"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Reference Photos</label>
+            <div className="flex flex-wrap gap-2">
+              {photos.map((photo, index) => (
+                <div key={photo.preview} className="relative">
+                  <img src={photo.preview} alt={`Reference ${index + 1}`} className="w-20 h-20 object-cover rounded-lg border" />
+                  <button
+                    type="button"
+                    onClick={() => handleRemovePhoto(index)}
+                    className="absolute -top-2 -right-2 bg-white rounded-full shadow text-red-600 hover:text-red-800"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+              <label className="w-20 h-20 flex items-center justify-center border-2 border-dashed border-gray-300 rounded-lg text-gray-500 hover:border-blue-400 cursor-pointer">
+                <ImagePlus className="w-6 h-6" />
+                <input type="file" accept="image/*" multiple onChange={handlePhotoChange} className="hidden" />
+              </label>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Then</label>
+            <div className="space-y-2">
+              <label className={`flex items-center gap-2 text-sm cursor-pointer ${canReturn ? 'text-gray-800' : 'text-gray-400'}`}>
+                <input
+                  type="radio"
+                  name="followUp"
+                  checked={sendBack}
+                  disabled={!canReturn}
+                  onChange={() => setReturnToDriver(true)}
+                />
+                Send back to {delivery.driverName || 'the driver'} for correction
+              </label>
+              {driverBlocker && (
+                <p className="ml-6 text-xs text-orange-700">{driverBlocker}</p>
+              )}
+              <label className="flex items-center gap-2 text-sm text-gray-800 cursor-pointer">
+                <input
+                  type="radio"
+                  name="followUp"
+                  checked={!sendBack}
+                  onChange={() => setReturnToDriver(false)}
+                />
+                Unassign and return to pending
+              </label>
+            </div>
+          </div>
+
+          <div className="flex gap-3 justify-end pt-2">
+            <button
+              type="button"
+              onClick={handleClose}
+              disabled={saving}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+              <XCircle className="w-4 h-4" />
+              {saving ? 'Rejecting...' : 'Reject Delivery'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default RejectionModal;
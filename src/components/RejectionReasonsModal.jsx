@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { X, Plus, Trash2 } from 'lucide-react';
+import { OTHER_REASON_CODE, toReasonCode } from '../utils/rejection';
+
+// Edits the catalogue of reason codes offered when rejecting a delivery.
+// Codes of existing reasons never change so past rejections keep their meaning.
+const RejectionReasonsModal = ({ reasons, onSave, onClose }) => {
+  const [values, setValues] = useState(reasons);
+  const [newLabel, setNewLabel] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleAdd = () => {
+    const label = newLabel.trim();
+    const code = toReasonCode(label);
+    if (!code) return;
+    if (values.some(reason => reason.code === code)) {
+      alert('That reason already exists');
+      return;
+    }
+    setValues([...values, { code, label }]);
+    setNewLabel('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (values.some(reason => !reason.label.trim())) {
+      alert('Every reason needs a label');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSave(values.map(reason => ({ ...reason, label: reason.label.trim() })));
+      alert('Rejection reasons saved');
+      onClose();
+    } catch (error) {
+      console.error('Error saving rejection reasons:', error);
+      alert(error.response?.data?.message || 'Failed to save rejection reasons');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-md w-full">
+        <div className="border-b px-6 py-4 flex justify-between items-center">
+          <h2 className="text-xl font-bold text-gray-800">Rejection Reasons</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6">
+          <div className="space-y-2">
+            {values.map((reason, index) => (
+              <div key={reason.code} className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={reason.label}
+                  onChange={(e) => setValues(values.map((r, i) => (i === index ? { ...r, label: e.target.value } : r)))}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  type="button"
+                  onClick={() => setValues(values.filter((_, i) => i !== index))}
+                  disabled={reason.code === OTHER_REASON_CODE}
+                  className="p-2 text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-30"
+                  title={reason.code === OTHER_REASON_CODE ? '"Other" is always offered' : 'Remove'}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex items-center gap-2 mt-4">
+            <input
+              type="text"
+              value={newLabel}
+              onChange={(e) => setNewLabel(e.target.value)}
+              placeholder="New reason"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="button"
+              onClick={handleAdd}
+              className="p-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+            >
+              <Plus className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="mt-6 flex gap-3 justify-end">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Reasons'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default RejectionReasonsModal;
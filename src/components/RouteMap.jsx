@@ -0,0 +1,71 @@
+import React, { useEffect, useMemo } from 'react';
+import { MapContainer, TileLayer, Marker, Polyline, Tooltip, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { DEFAULT_CENTER, TILE_URL, TILE_ATTRIBUTION } from '../utils/leaflet';
+
+const createStopIcon = (label, color) => {
+  return L.divIcon({
+    className: 'custom-stop-marker',
+    html: `
+      <div style="
+        background-color: ${color};
+        width: 26px;
+        height: 26px;
+        border-radius: 50%;
+        border: 3px solid white;
+        box-shadow: 0 2px 8px rgba(0,0,0,0.3);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        color: white;
+        font-weight: 700;
+        font-size: 12px;
+      ">${label}</div>
+    `,
+    iconSize: [26, 26],
+    iconAnchor: [13, 13],
+  });
+};
+
+const FitToRoute = ({ positions }) => {
+  const map = useMap();
+  useEffect(() => {
+    if (positions.length > 0) {
+      map.fitBounds(L.latLngBounds(positions), { padding: [30, 30], maxZoom: 15 });
+    }
+  }, [map, positions]);
+  return null;
+};
+
+// Small read-only map of a driver's route: start position, numbered stops and the path between them
+const RouteMap = ({ start, stops, height = 256 }) => {
+  // Memoized so the map only refits when the route itself changes
+  const positions = useMemo(() => {
+    const stopPositions = stops.map(stop => [stop.latitude, stop.longitude]);
+    return start ? [[start.latitude, start.longitude], ...stopPositions] : stopPositions;
+  }, [start, stops]);
+
+  return (
+    <div className="rounded-lg overflow-hidden border border-gray-200" style={{ height }}>
+      <MapContainer center={positions[0] || DEFAULT_CENTER} zoom={13} style={{ height: '100%', width: '100%' }}>
+        <TileLayer attribution={TILE_ATTRIBUTION} url={TILE_URL} />
+        <FitToRoute positions={positions} />
+        {positions.length > 1 && (
+          <Polyline positions={positions} color="#3b82f6" weight={4} opacity={0.8} dashArray="8 6" />
+        )}
+        {start && (
+          <Marker position={[start.latitude, start.longitude]} icon={createStopIcon('D', '#10b981')}>
+            <Tooltip>Driver's current location</Tooltip>
+          </Marker>
+        )}
+        {stops.map((stop, index) => (
+          <Marker key={stop.id} position={[stop.latitude, stop.longitude]} icon={createStopIcon(index + 1, '#f59e0b')}>
+            <Tooltip>{index + 1}. {stop.title}</Tooltip>
+          </Marker>
+        ))}
+      </MapContainer>
+    </div>
+  );
+};
+
+export default RouteMap;
@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { Play, Pause, SkipBack, X, Clock, Navigation } from 'lucide-react';
+
+const SPEEDS = [1, 10, 30, 60, 120, 300];
+const TICK_MS = 200;
+
+const formatClock = (millis) => {
+  return new Date(millis).toLocaleTimeString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+};
+
+const formatSpeed = (speed) => {
+  if (!speed) return '0 km/h';
+  return `${Math.round(speed)} km/h`;
+};
+
+// Playback controls for a driver's logged route.
+// `points` are sorted ascending by `time` (ms); `time` is owned by the parent
+// so the map can draw the marker, and `onTimeChange` accepts an updater function.
+const RoutePlayback = ({ driverName, points, time, currentIndex, onTimeChange, onClose }) => {
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(60);
+
+  const start = points[0].time;
+  const end = points[points.length - 1].time;
+  const atEnd = time >= end;
+  const isPlaying = playing && !atEnd;
+  const currentPoint = points[currentIndex];
+
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    const interval = setInterval(() => {
+      onTimeChange(prev => Math.min(prev + TICK_MS * speed, end));
+    }, TICK_MS);
+
+    return () => clearInterval(interval);
+  }, [isPlaying, speed, end, onTimeChange]);
+
+  const handleTogglePlay = () => {
+    if (atEnd) {
+      onTimeChange(start);
+      setPlaying(true);
+    } else {
+      setPlaying(!isPlaying);
+    }
+  };
+
+  const handleRestart = () => {
+    setPlaying(false);
+    onTimeChange(start);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-xl p-4 w-[28rem] max-w-full">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="font-bold text-gray-800">Route Playback</h3>
+          <p className="text-xs text-gray-600">{driverName} • {points.length} points</p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="flex items-center gap-2 mb-3">
+        <button
+          onClick={handleRestart}
+          className="p-2 rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200 transition"
+          title="Restart"
+        >
+          <SkipBack className="w-4 h-4" />
+        </button>
+        <button
+          onClick={handleTogglePlay}
+          className="p-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition"
+          title={isPlaying ? 'Pause' : 'Play'}
+        >
+          {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+        </button>
+        <input
+          type="range"
+          min={start}
+          max={end}
+          step={1000}
+          value={Math.min(Math.max(time, start), end)}
+          onChange={(e) => onTimeChange(Number(e.target.value))}
+          className="flex-1"
+        />
+        <select
+          value={speed}
+          onChange={(e) => setSpeed(Number(e.target.value))}
+          className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {SPEEDS.map((value) => (
+            <option key={value} value={value}>{value}x</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex justify-between text-xs text-gray-500 mb-3">
+        <span>{formatClock(start)}</span>
+        <span className="font-semibold text-gray-800">{formatClock(time)}</span>
+        <span>{formatClock(end)}</span>
+      </div>
+
+      {currentPoint && (
+        <div className="grid grid-cols-2 gap-3 text-sm">
+          <div className="bg-gray-50 p-2 rounded">
+            <p className="text-gray-600 text-xs flex items-center gap-1">
+              <Clock className="w-3 h-3" />
+              Point {currentIndex + 1} logged at
+            </p>
+            <p className="font-semibold text-gray-800">{formatClock(currentPoint.time)}</p>
+          </div>
+          <div className="bg-gray-50 p-2 rounded">
+            <p className="text-gray-600 text-xs flex items-center gap-1">
+              <Navigation className="w-3 h-3" />
+              Speed
+            </p>
+            <p className="font-semibold text-gray-800">{formatSpeed(currentPoint.speed)}</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoutePlayback;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { CalendarClock } from 'lucide-react';
+import { getScheduleState, formatSchedule, formatCountdown } from '../utils/schedule';
+
+const STATE_STYLES = {
+  overdue: 'text-red-700',
+  'at-risk': 'text-orange-600',
+  'on-track': 'text-gray-600',
+  'done-on-time': 'text-gray-500',
+  'done-late': 'text-gray-500',
+  closed: 'text-gray-500',
+};
+
+const FLAGS = {
+  overdue: { label: 'Overdue', className: 'bg-red-100 text-red-800' },
+  'at-risk': { label: 'At risk', className: 'bg-orange-100 text-orange-800' },
+  'done-on-time': { label: 'On time', className: 'bg-green-100 text-green-800' },
+  'done-late': { label: 'Late', className: 'bg-red-100 text-red-800' },
+};
+
+// Scheduled window with a countdown, an overdue / at-risk flag, or whether it
+// was delivered on time
+const ScheduleBadge = ({ delivery, now, eta }) => {
+  const { state, dueTime, remaining } = getScheduleState(delivery, now, eta);
+  if (state === 'unscheduled') return null;
+  const flag = FLAGS[state];
+
+  return (
+    <div className={`flex items-center gap-2 text-sm ${STATE_STYLES[state]}`}>
+      <CalendarClock className="w-4 h-4 flex-shrink-0" />
+      <span>
+        {formatSchedule(delivery)}
+        {remaining !== null && (
+          <span className="font-semibold">
+            {' • '}{formatCountdown(remaining)}
+            {state === 'at-risk' && eta && eta.eta > dueTime && ' (ETA later)'}
+          </span>
+        )}
+      </span>
+      {flag && (
+        <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${flag.className}`}>
+          {flag.label}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default ScheduleBadge;
@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import { X, Plus, Trash2 } from 'lucide-react';
+import { WEEKDAY_LABELS } from '../utils/recurrence';
+import { TIME_OFF_TYPES, DEFAULT_SHIFT, emptyWeekly } from '../utils/shifts';
+
+// Monday first, matching how admins think about a working week
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const emptyTimeOff = { startDate: '', endDate: '', type: 'leave', note: '' };
+
+// Edits one driver's weekly working hours and time off
+const ShiftScheduleModal = ({ driver, schedule, onSave, onClose }) => {
+  const [weekly, setWeekly] = useState(() => schedule?.weekly || emptyWeekly());
+  const [timeOff, setTimeOff] = useState(() => schedule?.timeOff || []);
+  const [newTimeOff, setNewTimeOff] = useState(emptyTimeOff);
+  const [saving, setSaving] = useState(false);
+
+  const updateDay = (day, shift) => {
+    setWeekly(weekly.map((value, i) => (i === day ? shift : value)));
+  };
+
+  const handleAddTimeOff = () => {
+    const endDate = newTimeOff.endDate || newTimeOff.startDate;
+    if (!newTimeOff.startDate) {
+      alert('Please choose a start date');
+      return;
+    }
+    if (endDate < newTimeOff.startDate) {
+      alert('End date must be on or after the start date');
+      return;
+    }
+    const entry = { ...newTimeOff, endDate, note: newTimeOff.note.trim() };
+    setTimeOff([...timeOff, entry].sort((a, b) => a.startDate.localeCompare(b.startDate)));
+    setNewTimeOff(emptyTimeOff);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (weekly.some(shift => shift && (!shift.start || !shift.end || shift.start === shift.end))) {
+      alert('Every working day needs a start and end time');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSave({ weekly, timeOff });
+      onClose();
+    } catch (error) {
+      console.error('Error saving schedule:', error);
+      alert(error.response?.data?.message || 'Failed to save schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b px-6 py-4 flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-bold text-gray-800">Working Schedule</h2>
+            <p className="text-sm text-gray-600">{driver.fullname}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-6">
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Weekly Shifts</h3>
+            <p className="text-xs text-gray-500 mb-3">A shift that ends before it starts runs past midnight.</p>
+            <div className="space-y-2">
+              {WEEK_ORDER.map(day => {
+                const shift = weekly[day];
+                return (
+                  <div key={day} className="flex items-center gap-3">
+                    <label className="flex items-center gap-2 w-24 text-sm text-gray-800 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(shift)}
+                        onChange={(e) => updateDay(day, e.target.checked ? { ...DEFAULT_SHIFT } : null)}
+                      />
+                      {WEEKDAY_LABELS[day]}
+                    </label>
+                    {shift ? (
+                      <>
+                        <input
+                          type="time"
+                          value={shift.start}
+                          onChange={(e) => updateDay(day, { ...shift, start: e.target.value })}
+                          className="px-3 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        <span className="text-gray-500">to</span>
+                        <input
+                          type="time"
+                          value={shift.end}
+                          onChange={(e) => updateDay(day, { ...shift, end: e.target.value })}
+                          className="px-3 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                      </>
+                    ) : (
+                      <span className="text-sm text-gray-400">Day off</span>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Time Off</h3>
+            {timeOff.length === 0 ? (
+              <p className="text-sm text-gray-500 mb-3">No time off booked</p>
+            ) : (
+              <div className="space-y-2 mb-3">
+                {timeOff.map((entry, index) => (
+                  <div key={`${entry.startDate}-${index}`} className="flex items-center justify-between bg-gray-50 px-3 py-2 rounded-lg text-sm">
+                    <div>
+                      <span className="font-semibold text-gray-800">{TIME_OFF_TYPES[entry.type] || 'Time off'}</span>
+                      <span className="text-gray-600">
+                        {' '}{entry.startDate}{entry.endDate !== entry.startDate && ` to ${entry.endDate}`}
+                      </span>
+                      {entry.note && <span className="text-gray-500"> • {entry.note}</span>}
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => setTimeOff(timeOff.filter((_, i) => i !== index))}
+                      className="p-1 text-red-600 hover:bg-red-50 rounded-lg"
+                      title="Remove"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="grid grid-cols-2 gap-2">
+              <input
+                type="date"
+                value={newTimeOff.startDate}
+                onChange={(e) => setNewTimeOff({ ...newTimeOff, startDate: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <input
+                type="date"
+                value={newTimeOff.endDate}
+                min={newTimeOff.startDate}
+                onChange={(e) => setNewTimeOff({ ...newTimeOff, endDate: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <select
+                value={newTimeOff.type}
+                onChange={(e) => setNewTimeOff({ ...newTimeOff, type: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {Object.entries(TIME_OFF_TYPES).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={newTimeOff.note}
+                  onChange={(e) => setNewTimeOff({ ...newTimeOff, note: e.target.value })}
+                  placeholder="Note (optional)"
+                  className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  type="button"
+                  onClick={handleAddTimeOff}
+                  className="p-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                  title="Add time off"
+                >
+                  <Plus className="w-5 h-5" />
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div className="flex gap-3 justify-end">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Schedule'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ShiftScheduleModal;
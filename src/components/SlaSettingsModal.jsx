@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { PRIORITIES, PRIORITY_ORDER } from '../utils/priority';
+
+// Edits the SLA target (hours from creation to completion) for each priority
+const SlaSettingsModal = ({ slaHours, onSave, onClose }) => {
+  const [values, setValues] = useState(() => (
+    Object.fromEntries(PRIORITY_ORDER.map(priority => [priority, String(slaHours[priority])]))
+  ));
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const targets = Object.fromEntries(PRIORITY_ORDER.map(priority => [priority, Number(values[priority])]));
+    if (Object.values(targets).some(hours => !(hours > 0))) {
+      alert('Every SLA target must be a positive number of hours');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSave(targets);
+      alert('SLA targets saved');
+      onClose();
+    } catch (error) {
+      console.error('Error saving SLA targets:', error);
+      alert(error.response?.data?.message || 'Failed to save SLA targets');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-md w-full">
+        <div className="border-b px-6 py-4 flex justify-between items-center">
+          <h2 className="text-xl font-bold text-gray-800">SLA Targets</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6">
+          <p className="text-sm text-gray-600 mb-4">Maximum hours from creation to completion for each priority.</p>
+          <div className="space-y-3">
+            {PRIORITY_ORDER.map(priority => (
+              <div key={priority} className="flex items-center justify-between gap-4">
+                <label className="text-sm font-semibold text-gray-700">{PRIORITIES[priority].label}</label>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    min="0.5"
+                    step="0.5"
+                    value={values[priority]}
+                    onChange={(e) => setValues({ ...values, [priority]: e.target.value })}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    required
+                  />
+                  <span className="text-sm text-gray-500">hours</span>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="mt-6 flex gap-3 justify-end">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Targets'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SlaSettingsModal;
@@ -0,0 +1,25 @@
+import React from 'react';
+import { getStatusMeta } from '../utils/deliveryLifecycle';
+
+// Delivery status pill; `withIcon` gives the larger bordered variant
+const StatusBadge = ({ status, withIcon = false }) => {
+  const meta = getStatusMeta(status);
+  const Icon = meta.icon;
+
+  if (withIcon) {
+    return (
+      <div className={`flex items-center gap-2 px-3 py-1.5 rounded-full border ${meta.badgeClass} ${meta.borderClass}`}>
+        <Icon className="w-5 h-5" />
+        <span className="font-semibold">{meta.label}</span>
+      </div>
+    );
+  }
+
+  return (
+    <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${meta.badgeClass}`}>
+      {meta.label}
+    </span>
+  );
+};
+
+export default StatusBadge;
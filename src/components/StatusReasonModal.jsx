@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { DELIVERY_ACTIONS } from '../utils/deliveryLifecycle';
+
+// Asks for the reason behind a status action that keeps one (failing or
+// cancelling a delivery). `request` comes from useDeliveryStatusActions.
+const StatusReasonModal = ({ request, onSubmit, onClose }) => {
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const { delivery, action, prompt } = request;
+  const { label, icon: Icon } = DELIVERY_ACTIONS[action];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason.trim()) {
+      alert('Please enter a reason');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSubmit(reason.trim());
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b px-6 py-4 flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-bold text-gray-800">{label}</h2>
+            <p className="text-sm text-gray-600">{delivery.title}</p>
+          </div>
+          <button onClick={onClose} disabled={saving} className="text-gray-500 hover:text-gray-700">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">{prompt} *</label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              rows="3"
+              autoFocus
+            />
+          </div>
+
+          <div className="flex gap-3 justify-end pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={saving}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Back
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+              <Icon className="w-4 h-4" />
+              {saving ? 'Saving...' : label}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default StatusReasonModal;
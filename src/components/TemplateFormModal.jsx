@@ -0,0 +1,239 @@
+import React, { useState } from 'react';
+import { X, MapPin, Package } from 'lucide-react';
+import { PRIORITIES, PRIORITY_ORDER } from '../utils/priority';
+import { RECURRENCE_TYPES, WEEKDAY_LABELS, validateRecurrence, toDateKey } from '../utils/recurrence';
+import { validateSchedule } from '../utils/schedule';
+import { formatItem } from '../utils/load';
+import { canAssignDriver } from '../utils/driverStatus';
+import { useNow } from '../hooks/useNow';
+
+// Creates or edits a recurring delivery template. The destination and items
+// come from the delivery the template was saved from and are shown read-only.
+const TemplateFormModal = ({ template, drivers, heading, onSave, onClose }) => {
+  const [formData, setFormData] = useState(() => ({
+    title: template.title || '',
+    description: template.description || '',
+    priority: template.priority || 'normal',
+    windowStart: template.windowStart || '',
+    windowEnd: template.windowEnd || '',
+    recurrence: { type: template.recurrence?.type || 'daily', days: template.recurrence?.days || [] },
+    startDate: template.startDate || toDateKey(new Date()),
+    endDate: template.endDate || '',
+    defaultDriverId: template.defaultDriverId || '',
+  }));
+  const [saving, setSaving] = useState(false);
+  const now = useNow();
+  // Keep showing the current default even if they can no longer take deliveries
+  const driverOptions = drivers.filter(driver =>
+    canAssignDriver(driver, now) || String(driver.id) === String(template.defaultDriverId)
+  );
+
+  const toggleDay = (day) => {
+    const days = formData.recurrence.days.includes(day)
+      ? formData.recurrence.days.filter(d => d !== day)
+      : [...formData.recurrence.days, day];
+    setFormData({ ...formData, recurrence: { ...formData.recurrence, days } });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const error = validateRecurrence(formData) || validateSchedule({ ...formData, scheduledDate: formData.startDate });
+    if (error) {
+      alert(error);
+      return;
+    }
+
+    const driver = drivers.find(d => String(d.id) === String(formData.defaultDriverId));
+    setSaving(true);
+    try {
+      await onSave({
+        ...formData,
+        recurrence: {
+          type: formData.recurrence.type,
+          days: formData.recurrence.type === 'weekly' ? [...formData.recurrence.days].sort() : [],
+        },
+        endDate: formData.endDate || null,
+        defaultDriverId: driver ? driver.id : null,
+        defaultDriverName: driver ? driver.fullname : null,
+      });
+    } catch (error) {
+      console.error('Error saving template:', error);
+      alert(error.response?.data?.message || 'Failed to save template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b px-6 py-4 flex justify-between items-center">
+          <h2 className="text-xl font-bold text-gray-800">{heading}</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div className="bg-gray-50 p-4 rounded-lg space-y-2 text-sm text-gray-600">
+            <div className="flex items-start gap-2">
+              <MapPin className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <span>{template.destination}</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <Package className="w-4 h-4 flex-shrink-0" />
+              <span>
+                {(template.items || []).length > 0
+                  ? template.items.map(formatItem).join(', ')
+                  : 'No items'}
+              </span>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Title *</label>
+            <input
+              type="text"
+              value={formData.title}
+              onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Description</label>
+            <textarea
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              rows="2"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Repeats *</label>
+            <select
+              value={formData.recurrence.type}
+              onChange={(e) => setFormData({ ...formData, recurrence: { ...formData.recurrence, type: e.target.value } })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {Object.entries(RECURRENCE_TYPES).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            {formData.recurrence.type === 'weekly' && (
+              <div className="flex flex-wrap gap-2 mt-3">
+                {WEEKDAY_LABELS.map((label, day) => (
+                  <button
+                    key={day}
+                    type="button"
+                    onClick={() => toggleDay(day)}
+                    className={`px-3 py-1.5 rounded-lg text-sm font-semibold border transition ${
+                      formData.recurrence.days.includes(day)
+                        ? 'bg-blue-600 border-blue-600 text-white'
+                        : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Starts *</label>
+              <input
+                type="date"
+                value={formData.startDate}
+                onChange={(e) => setFormData({ ...formData, startDate: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Ends</label>
+              <input
+                type="date"
+                value={formData.endDate}
+                onChange={(e) => setFormData({ ...formData, endDate: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Priority</label>
+              <select
+                value={formData.priority}
+                onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {PRIORITY_ORDER.map(priority => (
+                  <option key={priority} value={priority}>{PRIORITIES[priority].label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Window From</label>
+              <input
+                type="time"
+                value={formData.windowStart}
+                onChange={(e) => setFormData({ ...formData, windowStart: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Window To</label>
+              <input
+                type="time"
+                value={formData.windowEnd}
+                onChange={(e) => setFormData({ ...formData, windowEnd: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Default Driver</label>
+            <select
+              value={formData.defaultDriverId}
+              onChange={(e) => setFormData({ ...formData, defaultDriverId: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">-- Leave pending --</option>
+              {driverOptions.map(driver => (
+                <option key={driver.id} value={driver.id}>
+                  {driver.fullname} (@{driver.username})
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">Generated deliveries are assigned to this driver automatically.</p>
+          </div>
+
+          <div className="flex gap-3 justify-end pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Template'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateFormModal;
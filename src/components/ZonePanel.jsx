@@ -0,0 +1,114 @@
+import React from 'react';
+import { Hexagon, Circle, Trash2, LogIn, LogOut, Timer } from 'lucide-react';
+import { ZONE_CATEGORIES } from '../utils/geofence';
+import { formatDuration } from '../utils/time';
+
+const EVENT_STYLES = {
+  enter: { icon: LogIn, label: 'Entered', className: 'text-green-600 bg-green-100' },
+  dwell: { icon: Timer, label: 'Dwelling in', className: 'text-orange-600 bg-orange-100' },
+  exit: { icon: LogOut, label: 'Exited', className: 'text-gray-600 bg-gray-100' },
+};
+
+const formatClock = (millis) => {
+  return new Date(millis).toLocaleTimeString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+export const ZoneEventRow = ({ event, driverName }) => {
+  const style = EVENT_STYLES[event.type];
+  const Icon = style.icon;
+
+  return (
+    <div className="flex items-start gap-2 text-xs">
+      <span className={`p-1 rounded ${style.className}`}>
+        <Icon className="w-3 h-3" />
+      </span>
+      <div className="flex-1 min-w-0">
+        <p className="text-gray-800">
+          {driverName && <span className="font-semibold">{driverName} </span>}
+          {style.label.toLowerCase()} <span className="font-semibold">{event.zoneName}</span>
+        </p>
+        <p className="text-gray-500">
+          {formatClock(event.time)}
+          {event.duration !== undefined && ` • ${formatDuration(event.duration)} inside`}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+// Sidebar tab listing saved zones and the zone events of visible drivers
+const ZonePanel = ({ zones, events, drawing, onStartDraw, onDeleteZone }) => {
+  return (
+    <div>
+      <div className="p-4 border-b">
+        <div className="grid grid-cols-2 gap-2">
+          <button
+            onClick={() => onStartDraw('polygon')}
+            disabled={drawing}
+            className="flex items-center justify-center gap-2 px-3 py-2 bg-blue-50 text-blue-600 rounded-lg hover:bg-blue-100 transition text-sm font-semibold disabled:opacity-50"
+          >
+            <Hexagon className="w-4 h-4" />
+            Polygon
+          </button>
+          <button
+            onClick={() => onStartDraw('circle')}
+            disabled={drawing}
+            className="flex items-center justify-center gap-2 px-3 py-2 bg-blue-50 text-blue-600 rounded-lg hover:bg-blue-100 transition text-sm font-semibold disabled:opacity-50"
+          >
+            <Circle className="w-4 h-4" />
+            Circle
+          </button>
+        </div>
+      </div>
+
+      <div className="p-4 border-b">
+        <h3 className="font-semibold text-gray-800 mb-2">Zones ({zones.length})</h3>
+        {zones.length === 0 ? (
+          <p className="text-sm text-gray-500">No zones yet. Draw one on the map.</p>
+        ) : (
+          <div className="space-y-2">
+            {zones.map((zone) => (
+              <div key={zone.id} className="flex items-center justify-between bg-gray-50 p-2 rounded">
+                <div className="flex items-center gap-2 min-w-0">
+                  <span
+                    className="w-3 h-3 rounded-full flex-shrink-0"
+                    style={{ backgroundColor: ZONE_CATEGORIES[zone.category]?.color }}
+                  />
+                  <div className="min-w-0">
+                    <p className="text-sm font-semibold text-gray-800 truncate">{zone.name}</p>
+                    <p className="text-xs text-gray-500">{ZONE_CATEGORIES[zone.category]?.label}</p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => onDeleteZone(zone)}
+                  className="text-red-600 hover:text-red-800 p-1"
+                  title="Delete zone"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="p-4">
+        <h3 className="font-semibold text-gray-800 mb-2">Zone Events ({events.length})</h3>
+        {events.length === 0 ? (
+          <p className="text-sm text-gray-500">No zone activity for visible drivers on this date</p>
+        ) : (
+          <div className="space-y-3">
+            {events.map((event, index) => (
+              <ZoneEventRow key={index} event={event} driverName={event.driverName} />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ZonePanel;
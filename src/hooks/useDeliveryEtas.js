@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react';
+import { locationsAPI } from '../services/api';
+import { estimateEtas } from '../utils/eta';
+
+const REFRESH_MS = 60 * 1000;
+
+// Loads location logs for drivers with assigned deliveries and returns
+// ETA estimates keyed by delivery id, refreshed every minute.
+export const useDeliveryEtas = (deliveries) => {
+  const [logsByDriver, setLogsByDriver] = useState({});
+  const [now, setNow] = useState(() => Date.now());
+
+  const driverIds = [...new Set(
+    deliveries
+      .filter(d => d.status === 'assigned' && d.assignedDriverId)
+      .map(d => String(d.assignedDriverId))
+  )].sort().join(',');
+
+  useEffect(() => {
+    if (!driverIds) return;
+    let cancelled = false;
+
+    const load = async () => {
+      const results = await Promise.all(
+        driverIds.split(',').map(async (driverId) => {
+          try {
+            const response = await locationsAPI.getDriverLocation(driverId);
+            return [driverId, response.data?.logs || []];
+          } catch (error) {
+            console.error(`Error fetching location for driver ${driverId}:`, error);
+            return [driverId, []];
+          }
+        })
+      );
+      if (!cancelled) {
+        setLogsByDriver(Object.fromEntries(results));
+        setNow(Date.now());
+      }
+    };
+
+    load();
+    const interval = setInterval(load, REFRESH_MS);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [driverIds]);
+
+  return estimateEtas(deliveries, logsByDriver, now);
+};
@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import { deliveriesAPI } from '../services/api';
+import { DELIVERY_ACTIONS, canTransition, transitionError } from '../utils/deliveryLifecycle';
+import { recordDeliveryEvent } from '../utils/deliveryHistory';
+
+// Status-only actions shared by the list pages. Each asks for confirmation
+// (or a reason, through StatusReasonModal, where one is kept), updates the
+// delivery and records the event.
+const STATUS_ACTIONS = {
+  fail: {
+    reasonPrompt: 'Why did this delivery fail?',
+    update: (delivery, reason) => ({ status: 'failed', failureReason: reason }),
+    event: 'failed',
+  },
+  retry: {
+    confirm: (delivery) => `Return "${delivery.title}" to pending so it can be assigned again?`,
+    update: () => ({ status: 'pending', assignedDriverId: null, driverName: null, routeOrder: null }),
+    event: 'reopened',
+  },
+  cancel: {
+    reasonPrompt: 'Reason for cancelling this delivery',
+    update: (delivery, reason) => ({
+      status: 'cancelled',
+      assignedDriverId: null,
+      driverName: null,
+      routeOrder: null,
+      cancellationReason: reason,
+    }),
+    event: 'cancelled',
+  },
+};
+
+export const STATUS_ACTION_KEYS = Object.keys(STATUS_ACTIONS);
+
+// Returns { runStatusAction, reasonRequest, submitReason, cancelReason }.
+// While `reasonRequest` is set the page shows a StatusReasonModal for it.
+export const useDeliveryStatusActions = (onChanged) => {
+  const [reasonRequest, setReasonRequest] = useState(null); // { delivery, action, prompt }
+
+  // Resolves to whether the delivery was updated
+  const applyStatusAction = async (delivery, action, reason = null) => {
+    const config = STATUS_ACTIONS[action];
+    try {
+      await deliveriesAPI.update(delivery.id, config.update(delivery, reason));
+      await recordDeliveryEvent(delivery.id, config.event, {
+        reason,
+        driverId: delivery.assignedDriverId || null,
+        driverName: delivery.driverName || null,
+      });
+      alert(`Delivery updated: ${DELIVERY_ACTIONS[action].label}`);
+      onChanged();
+      return true;
+    } catch (error) {
+      console.error(`Error running ${action} on delivery:`, error);
+      alert(error.response?.data?.message || 'Failed to update delivery');
+      return false;
+    }
+  };
+
+  const runStatusAction = async (delivery, action) => {
+    if (!canTransition(delivery.status, action)) {
+      alert(transitionError(delivery.status, action));
+      return;
+    }
+
+    const config = STATUS_ACTIONS[action];
+    if (config.reasonPrompt) {
+      setReasonRequest({ delivery, action, prompt: config.reasonPrompt });
+      return;
+    }
+    if (!window.confirm(config.confirm(delivery))) return;
+    await applyStatusAction(delivery, action);
+  };
+
+  // Keeps the modal open when the update fails so the reason isn't lost
+  const submitReason = async (reason) => {
+    if (await applyStatusAction(reasonRequest.delivery, reasonRequest.action, reason)) {
+      setReasonRequest(null);
+    }
+  };
+
+  const cancelReason = () => setReasonRequest(null);
+
+  return { runStatusAction, reasonRequest, submitReason, cancelReason };
+};
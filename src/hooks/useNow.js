@@ -0,0 +1,13 @@
+import { useState, useEffect } from 'react';
+
+// Current time that re-renders the component every `intervalMs`, for countdowns
+export const useNow = (intervalMs = 60 * 1000) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(interval);
+  }, [intervalMs]);
+
+  return now;
+};
@@ -0,0 +1,28 @@
+import { useState, useEffect } from 'react';
+import { settingsAPI } from '../services/api';
+import { DEFAULT_REJECTION_REASONS } from '../utils/rejection';
+
+// Rejection reason catalogue from the backend, falling back to the defaults
+export const useRejectionReasons = () => {
+  const [reasons, setReasons] = useState(DEFAULT_REJECTION_REASONS);
+
+  useEffect(() => {
+    const fetchReasons = async () => {
+      try {
+        const response = await settingsAPI.getRejectionReasons();
+        if (response.data?.length) setReasons(response.data);
+      } catch (error) {
+        console.error('Error fetching rejection reasons:', error);
+      }
+    };
+
+    fetchReasons();
+  }, []);
+
+  const saveReasons = async (nextReasons) => {
+    await settingsAPI.updateRejectionReasons(nextReasons);
+    setReasons(nextReasons);
+  };
+
+  return [reasons, saveReasons];
+};
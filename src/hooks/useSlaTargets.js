@@ -0,0 +1,28 @@
+import { useState, useEffect } from 'react';
+import { settingsAPI } from '../services/api';
+import { DEFAULT_SLA_HOURS } from '../utils/priority';
+
+// SLA hours per priority from the backend, falling back to the defaults
+export const useSlaTargets = () => {
+  const [slaHours, setSlaHours] = useState(DEFAULT_SLA_HOURS);
+
+  useEffect(() => {
+    const fetchTargets = async () => {
+      try {
+        const response = await settingsAPI.getSlaTargets();
+        setSlaHours({ ...DEFAULT_SLA_HOURS, ...(response.data || {}) });
+      } catch (error) {
+        console.error('Error fetching SLA targets:', error);
+      }
+    };
+
+    fetchTargets();
+  }, []);
+
+  const saveSlaHours = async (targets) => {
+    await settingsAPI.updateSlaTargets(targets);
+    setSlaHours(targets);
+  };
+
+  return [slaHours, saveSlaHours];
+};
@@ -1,16 +1,46 @@
-import React, { useState, useEffect } from 'react';
-import { Search, Package, User, MapPin, Calendar, CheckCircle, X, AlertCircle } from 'lucide-react';
-import { deliveriesAPI, driversAPI } from '../services/api';
+import React, { useState, useEffect, useRef } from 'react';
+import { Search, Package, User, MapPin, Calendar, CheckCircle, X, AlertCircle, Route, Save } from 'lucide-react';
+import { deliveriesAPI, driversAPI, locationsAPI, vehiclesAPI, schedulesAPI } from '../services/api';
+import { optimizeRoute, routeDistance, sortByRouteOrder } from '../utils/routeOptimization';
+import { hasCoordinates, formatDistance } from '../utils/geo';
+import RouteMap from '../components/RouteMap';
+import EtaBadge from '../components/EtaBadge';
+import { useDeliveryEtas } from '../hooks/useDeliveryEtas';
+import { recordDeliveryEvent, assignmentEventType } from '../utils/deliveryHistory';
+import { DELIVERY_ACTIONS, TERMINAL_STATUSES, canTransition, availableActions, transitionError } from '../utils/deliveryLifecycle';
+import { useDeliveryStatusActions, STATUS_ACTION_KEYS } from '../hooks/useDeliveryStatusActions';
+import StatusBadge from '../components/StatusBadge';
+import ScheduleBadge from '../components/ScheduleBadge';
+import { useNow } from '../hooks/useNow';
+import PriorityBadge from '../components/PriorityBadge';
+import { sortByPriority } from '../utils/priority';
+import CapacityMeter from '../components/CapacityMeter';
+import StatusReasonModal from '../components/StatusReasonModal';
+import { totalLoad, deliveryLoad, formatLoad, getDriverCapacity, checkCapacity } from '../utils/load';
+import { getDriverVehicle, formatVehicle } from '../utils/vehicles';
+import { getDriverSchedule, getAvailability, isAvailable, assignmentWarnings } from '../utils/shifts';
+import { hasExpiredLicence } from '../utils/driverDocuments';
+import { EMPLOYMENT_STATUSES, getEmploymentStatus, isActiveDriver, canAssignDriver, getAssignmentBlocker } from '../utils/driverStatus';
 
 const Assignments = () => {
   const [drivers, setDrivers] = useState([]);
+  const [vehicles, setVehicles] = useState([]);
+  const [schedules, setSchedules] = useState([]);
   const [deliveries, setDeliveries] = useState([]);
   const [selectedDriver, setSelectedDriver] = useState(null);
+  // Lets a slow location response tell whether its driver is still selected
+  const selectedDriverIdRef = useRef(null);
   const [selectedDeliveries, setSelectedDeliveries] = useState([]);
   const [availableDeliveries, setAvailableDeliveries] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [showAssignModal, setShowAssignModal] = useState(false);
+  const [driverLocation, setDriverLocation] = useState(null);
+  const [routePlan, setRoutePlan] = useState(null); // { stops, distance, currentDistance }
+  const [savingRoute, setSavingRoute] = useState(false);
+
+  const etas = useDeliveryEtas(selectedDeliveries);
+  const now = useNow();
 
   useEffect(() => {
     fetchData();
@@ -19,16 +49,22 @@ const Assignments = () => {
   const fetchData = async () => {
     try {
       setLoading(true);
-      const [driversRes, deliveriesRes] = await Promise.all([
+      const [driversRes, deliveriesRes, vehiclesRes, schedulesRes] = await Promise.all([
         driversAPI.getAll(),
-        deliveriesAPI.getAll()
+        deliveriesAPI.getAll(),
+        // Without vehicles capacity simply isn't checked
+        vehiclesAPI.getAll().catch(() => ({ data: [] })),
+        // Without schedules every driver counts as available
+        schedulesAPI.getAll().catch(() => ({ data: [] })),
       ]);
       setDrivers(driversRes.data);
+      setVehicles(vehiclesRes.data);
+      setSchedules(schedulesRes.data);
       setDeliveries(deliveriesRes.data);
       
-      // Filter pending deliveries
-      const pending = deliveriesRes.data.filter(d => d.status === 'pending');
-      setAvailableDeliveries(pending);
+      // Deliveries that can still be given to a driver
+      const assignable = deliveriesRes.data.filter(d => canTransition(d.status, 'assign'));
+      setAvailableDeliveries(sortByPriority(assignable));
     } catch (error) {
       console.error('Error fetching data:', error);
       alert('Failed to load data');
@@ -37,15 +73,78 @@ const Assignments = () => {
     }
   };
 
+  const fetchDriverLocation = async (driverId) => {
+    try {
+      const response = await locationsAPI.getDriverLocation(driverId);
+      // Logs are ordered newest first
+      const latest = response.data?.logs?.[0];
+      if (selectedDriverIdRef.current !== driverId) return;
+      setDriverLocation(hasCoordinates(latest) ? latest : null);
+    } catch (error) {
+      console.error('Error fetching driver location:', error);
+      if (selectedDriverIdRef.current !== driverId) return;
+      setDriverLocation(null);
+    }
+  };
+
   const handleSelectDriver = (driver) => {
+    selectedDriverIdRef.current = driver.id;
     setSelectedDriver(driver);
     setSelectedDeliveries([]);
+    setRoutePlan(null);
+    if (driver.id !== selectedDriver?.id) {
+      setDriverLocation(null);
+      fetchDriverLocation(driver.id);
+    }
     
     // Get deliveries assigned to this driver
     const driverDeliveries = deliveries.filter(
-      d => d.assignedDriverId === driver.id && d.status !== 'approved'
+      d => d.assignedDriverId === driver.id && !TERMINAL_STATUSES.includes(d.status)
     );
-    setSelectedDeliveries(driverDeliveries);
+    // Deliveries without a saved route position follow in priority order
+    setSelectedDeliveries(sortByRouteOrder(sortByPriority(driverDeliveries)));
+  };
+
+  const handleOptimizeRoute = () => {
+    const stops = selectedDeliveries.filter(d => d.status === 'assigned' && hasCoordinates(d));
+    if (stops.length === 0) {
+      alert('No assigned deliveries with map coordinates to optimize');
+      return;
+    }
+
+    const plan = optimizeRoute(driverLocation, stops);
+    setRoutePlan({
+      ...plan,
+      currentDistance: routeDistance(driverLocation, stops),
+      unplaced: selectedDeliveries.filter(d => d.status === 'assigned' && !hasCoordinates(d)),
+    });
+  };
+
+  const handleSaveRouteOrder = async () => {
+    try {
+      setSavingRoute(true);
+      const order = {};
+      routePlan.stops.forEach((delivery, index) => {
+        order[delivery.id] = index + 1;
+      });
+
+      await Promise.all(
+        routePlan.stops.map(delivery =>
+          deliveriesAPI.update(delivery.id, { routeOrder: order[delivery.id] })
+        )
+      );
+
+      const applyOrder = (d) => (order[d.id] ? { ...d, routeOrder: order[d.id] } : d);
+      setDeliveries(prev => prev.map(applyOrder));
+      setSelectedDeliveries(prev => sortByRouteOrder(prev.map(applyOrder)));
+      setRoutePlan(null);
+      alert('Route order saved. The driver will see deliveries in this order.');
+    } catch (error) {
+      console.error('Error saving route order:', error);
+      alert(error.response?.data?.message || 'Failed to save route order');
+    } finally {
+      setSavingRoute(false);
+    }
   };
 
   const handleOpenAssignModal = () => {
@@ -77,20 +176,42 @@ const Assignments = () => {
       return;
     }
 
+    const blocker = getAssignmentBlocker(selectedDriver, now);
+    if (blocker) {
+      alert(blocker);
+      return;
+    }
+
+    if (checkCapacity(runLoad, capacity).status === 'over') {
+      alert(`These deliveries would exceed the capacity of ${selectedDriver.fullname}'s vehicle. Deselect some deliveries or choose another driver.`);
+      return;
+    }
+
     try {
-      // Get only newly selected deliveries (pending ones)
-      const newDeliveries = selectedDeliveries.filter(d => d.status === 'pending');
+      // Get only newly selected deliveries (the ones that can still be assigned)
+      const newDeliveries = selectedDeliveries.filter(d => canTransition(d.status, 'assign'));
       
       if (newDeliveries.length === 0) {
         alert('No new deliveries to assign');
         return;
       }
 
+      if (shiftWarnings.length > 0 && !window.confirm(
+        `${selectedDriver.fullname} may not be available:\n\n${shiftWarnings.join('\n')}\n\nAssign anyway?`
+      )) {
+        return;
+      }
+
       // Assign each delivery
       await Promise.all(
-        newDeliveries.map(delivery => 
-          deliveriesAPI.assignDriver(delivery.id, selectedDriver.id)
-        )
+        newDeliveries.map(async (delivery) => {
+          await deliveriesAPI.assignDriver(delivery.id, selectedDriver.id);
+          await recordDeliveryEvent(delivery.id, assignmentEventType(delivery), {
+            driverId: selectedDriver.id,
+            driverName: selectedDriver.fullname,
+            previousDriverName: delivery.driverName || null,
+          });
+        })
       );
 
       alert(`Successfully assigned ${newDeliveries.length} delivery(ies) to ${selectedDriver.fullname}`);
@@ -106,13 +227,22 @@ const Assignments = () => {
   };
 
   const handleUnassignDelivery = async (delivery) => {
+    if (!canTransition(delivery.status, 'unassign')) {
+      alert(transitionError(delivery.status, 'unassign'));
+      return;
+    }
     if (window.confirm(`Unassign "${delivery.title}" from ${selectedDriver?.fullname}?`)) {
       try {
         await deliveriesAPI.update(delivery.id, {
           assignedDriverId: null,
           driverName: null,
+          routeOrder: null,
           status: 'pending'
         });
+        await recordDeliveryEvent(delivery.id, 'unassigned', {
+          driverId: selectedDriver?.id,
+          driverName: selectedDriver?.fullname,
+        });
         alert('Delivery unassigned successfully');
         fetchData();
         handleSelectDriver(selectedDriver);
@@ -123,9 +253,12 @@ const Assignments = () => {
     }
   };
 
+  // Terminated drivers are kept for history only
   const filteredDrivers = drivers.filter(driver =>
-    driver.fullname?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    driver.username?.toLowerCase().includes(searchTerm.toLowerCase())
+    getEmploymentStatus(driver) !== 'terminated' && (
+      driver.fullname?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      driver.username?.toLowerCase().includes(searchTerm.toLowerCase())
+    )
   );
 
   const getDriverStats = (driver) => {
@@ -142,15 +275,25 @@ const Assignments = () => {
     return { assigned, completed, approved, total: assigned + completed };
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'pending': return 'bg-yellow-100 text-yellow-800';
-      case 'assigned': return 'bg-blue-100 text-blue-800';
-      case 'completed': return 'bg-green-100 text-green-800';
-      case 'approved': return 'bg-purple-100 text-purple-800';
-      default: return 'bg-gray-100 text-gray-800';
-    }
-  };
+  // Everything that will be on the vehicle: deliveries still to drop off plus newly selected ones
+  const runLoad = totalLoad(
+    selectedDeliveries.filter(d => d.status === 'assigned' || canTransition(d.status, 'assign'))
+  );
+  const selectedVehicle = getDriverVehicle(selectedDriver, vehicles);
+  const capacity = getDriverCapacity(selectedDriver, selectedVehicle);
+  const overCapacity = checkCapacity(runLoad, capacity).status === 'over';
+  const licenceExpired = hasExpiredLicence(selectedDriver, now);
+  const selectedAvailability = getAvailability(getDriverSchedule(selectedDriver, schedules), now);
+  const shiftWarnings = assignmentWarnings(
+    getDriverSchedule(selectedDriver, schedules),
+    selectedDeliveries.filter(d => canTransition(d.status, 'assign')),
+    now
+  );
+
+  const { runStatusAction, reasonRequest, submitReason, cancelReason } = useDeliveryStatusActions(() => {
+    fetchData();
+    handleSelectDriver(selectedDriver);
+  });
 
   return (
     <div className="p-6">
@@ -193,6 +336,8 @@ const Assignments = () => {
                   filteredDrivers.map((driver) => {
                     const stats = getDriverStats(driver);
                     const isSelected = selectedDriver?.id === driver.id;
+                    const availability = getAvailability(getDriverSchedule(driver, schedules), now);
+                    const available = canAssignDriver(driver, now) && isAvailable(availability);
                     
                     return (
                       <div
@@ -200,12 +345,13 @@ const Assignments = () => {
                         onClick={() => handleSelectDriver(driver)}
                         className={`p-4 border-b cursor-pointer transition ${
                           isSelected ? 'bg-blue-50 border-l-4 border-l-blue-600' : 'hover:bg-gray-50'
-                        }`}
+                        } ${available ? '' : 'opacity-60'}`}
                       >
                         <div className="flex items-start justify-between mb-2">
                           <div>
                             <h3 className="font-semibold text-gray-800">{driver.fullname}</h3>
                             <p className="text-sm text-gray-500">@{driver.username}</p>
+                            <p className="text-xs text-gray-500">{formatVehicle(getDriverVehicle(driver, vehicles))}</p>
                           </div>
                           {stats.total > 0 && (
                             <span className="bg-blue-600 text-white text-xs font-semibold px-2 py-1 rounded-full">
@@ -215,6 +361,21 @@ const Assignments = () => {
                         </div>
                         
                         <div className="flex gap-2 text-xs">
+                          {!isActiveDriver(driver) && (
+                            <span className="bg-yellow-100 text-yellow-800 px-2 py-1 rounded">
+                              {EMPLOYMENT_STATUSES[getEmploymentStatus(driver)].label}
+                            </span>
+                          )}
+                          {hasExpiredLicence(driver, now) && (
+                            <span className="bg-red-100 text-red-800 px-2 py-1 rounded">
+                              Licence expired
+                            </span>
+                          )}
+                          {!isAvailable(availability) && (
+                            <span className="bg-gray-200 text-gray-700 px-2 py-1 rounded" title={availability.label}>
+                              Unavailable • {availability.label}
+                            </span>
+                          )}
                           {stats.assigned > 0 && (
                             <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded">
                               {stats.assigned} assigned
@@ -250,6 +411,25 @@ const Assignments = () => {
                     <div>
                       <h2 className="text-2xl font-bold text-gray-800">{selectedDriver.fullname}</h2>
                       <p className="text-gray-600">@{selectedDriver.username} • {selectedDriver.phone}</p>
+                      <p className="text-sm text-gray-500">{formatVehicle(selectedVehicle)}</p>
+                      {!isActiveDriver(selectedDriver) && (
+                        <p className="flex items-center gap-1 text-sm text-red-700 mt-1">
+                          <AlertCircle className="w-4 h-4" />
+                          {EMPLOYMENT_STATUSES[getEmploymentStatus(selectedDriver)].label}: cannot be assigned deliveries
+                        </p>
+                      )}
+                      {licenceExpired && (
+                        <p className="flex items-center gap-1 text-sm text-red-700 mt-1">
+                          <AlertCircle className="w-4 h-4" />
+                          Licence expired: cannot be assigned deliveries
+                        </p>
+                      )}
+                      {!isAvailable(selectedAvailability) && (
+                        <p className="flex items-center gap-1 text-sm text-orange-700 mt-1">
+                          <AlertCircle className="w-4 h-4" />
+                          Unavailable: {selectedAvailability.label}
+                        </p>
+                      )}
                     </div>
                     <button
                       onClick={handleOpenAssignModal}
@@ -274,15 +454,84 @@ const Assignments = () => {
                       <p className="text-2xl font-bold text-purple-700">{getDriverStats(selectedDriver).approved}</p>
                     </div>
                   </div>
+
+                  <div className="mt-4">
+                    <CapacityMeter load={runLoad} capacity={capacity} />
+                  </div>
                 </div>
 
                 {/* Assigned Deliveries */}
                 <div className="bg-white rounded-lg shadow">
-                  <div className="p-4 border-b">
-                    <h3 className="text-lg font-bold text-gray-800">Assigned Deliveries</h3>
-                    <p className="text-sm text-gray-600">Current delivery route for this driver</p>
+                  <div className="p-4 border-b flex items-center justify-between">
+                    <div>
+                      <h3 className="text-lg font-bold text-gray-800">Assigned Deliveries</h3>
+                      <p className="text-sm text-gray-600">Current delivery route for this driver</p>
+                    </div>
+                    <button
+                      onClick={handleOptimizeRoute}
+                      disabled={!selectedDeliveries.some(d => d.status === 'assigned')}
+                      className="flex items-center gap-2 px-3 py-2 bg-purple-50 text-purple-600 rounded-lg hover:bg-purple-100 transition text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <Route className="w-4 h-4" />
+                      Optimize Route
+                    </button>
                   </div>
 
+                  {routePlan && (
+                    <div className="p-4 border-b bg-purple-50">
+                      <div className="flex items-start justify-between mb-3">
+                        <div>
+                          <h4 className="font-semibold text-gray-800">Suggested Route</h4>
+                          <p className="text-sm text-gray-600">
+                            Estimated {formatDistance(routePlan.distance)}
+                            {routePlan.currentDistance > routePlan.distance && (
+                              <> (current order {formatDistance(routePlan.currentDistance)})</>
+                            )}
+                            {driverLocation ? ' from the driver\'s last known location' : ' starting at the first stop (no driver location)'}
+                          </p>
+                        </div>
+                        <button onClick={() => setRoutePlan(null)} className="text-gray-500 hover:text-gray-700">
+                          <X className="w-5 h-5" />
+                        </button>
+                      </div>
+
+                      <RouteMap start={driverLocation} stops={routePlan.stops} />
+
+                      <ol className="mt-3 space-y-1 text-sm">
+                        {routePlan.stops.map((delivery, index) => (
+                          <li key={delivery.id} className="flex items-center gap-2 text-gray-800">
+                            <span className="bg-purple-600 text-white text-xs font-bold px-2 py-0.5 rounded">
+                              {index + 1}
+                            </span>
+                            {delivery.title}
+                          </li>
+                        ))}
+                      </ol>
+                      {routePlan.unplaced.length > 0 && (
+                        <p className="mt-2 text-xs text-orange-700">
+                          {routePlan.unplaced.length} delivery(ies) have no map coordinates and were left out
+                        </p>
+                      )}
+
+                      <div className="mt-3 flex gap-3 justify-end">
+                        <button
+                          onClick={() => setRoutePlan(null)}
+                          className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 bg-white text-sm"
+                        >
+                          Discard
+                        </button>
+                        <button
+                          onClick={handleSaveRouteOrder}
+                          disabled={savingRoute}
+                          className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 text-sm disabled:opacity-50"
+                        >
+                          <Save className="w-4 h-4" />
+                          {savingRoute ? 'Saving...' : 'Save Order'}
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
                   <div className="p-4">
                     {selectedDeliveries.length === 0 ? (
                       <div className="text-center py-8 text-gray-500">
@@ -309,9 +558,8 @@ const Assignments = () => {
                                     #{index + 1}
                                   </span>
                                   <h4 className="font-semibold text-gray-800">{delivery.title}</h4>
-                                  <span className={`px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(delivery.status)}`}>
-                                    {delivery.status}
-                                  </span>
+                                  <PriorityBadge delivery={delivery} />
+                                  <StatusBadge status={delivery.status} />
                                 </div>
 
                                 <div className="space-y-1 ml-11">
@@ -321,12 +569,27 @@ const Assignments = () => {
                                   </div>
                                   <div className="flex items-center gap-2 text-sm text-gray-600">
                                     <Package className="w-4 h-4" />
-                                    <span>{delivery.items?.length || 0} items</span>
+                                    <span>{delivery.items?.length || 0} items • {formatLoad(deliveryLoad(delivery))}</span>
                                   </div>
+                                  <ScheduleBadge delivery={delivery} now={now} eta={etas[delivery.id]} />
+                                  <EtaBadge eta={etas[delivery.id]} />
+                                  {availableActions(delivery.status, STATUS_ACTION_KEYS).length > 0 && (
+                                    <div className="flex gap-2 pt-1">
+                                      {availableActions(delivery.status, STATUS_ACTION_KEYS).map(action => (
+                                        <button
+                                          key={action}
+                                          onClick={() => runStatusAction(delivery, action)}
+                                          className="px-2 py-1 border border-gray-200 text-gray-600 rounded hover:bg-gray-50 transition text-xs font-semibold"
+                                        >
+                                          {DELIVERY_ACTIONS[action].label}
+                                        </button>
+                                      ))}
+                                    </div>
+                                  )}
                                 </div>
                               </div>
 
-                              {delivery.status === 'assigned' && (
+                              {canTransition(delivery.status, 'unassign') && (
                                 <button
                                   onClick={() => handleUnassignDelivery(delivery)}
                                   className="text-red-600 hover:text-red-800 p-2"
@@ -403,7 +666,10 @@ const Assignments = () => {
                               className="mt-1 w-5 h-5 text-blue-600 rounded focus:ring-blue-500"
                             />
                             <div className="flex-1">
-                              <h4 className="font-semibold text-gray-800 mb-1">{delivery.title}</h4>
+                              <div className="flex items-center gap-2 mb-1">
+                                <h4 className="font-semibold text-gray-800">{delivery.title}</h4>
+                                <PriorityBadge delivery={delivery} />
+                              </div>
                               <div className="space-y-1">
                                 <div className="flex items-center gap-2 text-sm text-gray-600">
                                   <MapPin className="w-4 h-4" />
@@ -411,8 +677,9 @@ const Assignments = () => {
                                 </div>
                                 <div className="flex items-center gap-2 text-sm text-gray-600">
                                   <Package className="w-4 h-4" />
-                                  <span>{delivery.items?.length || 0} items</span>
+                                  <span>{delivery.items?.length || 0} items • {formatLoad(deliveryLoad(delivery))}</span>
                                 </div>
+                                <ScheduleBadge delivery={delivery} now={now} />
                               </div>
                             </div>
                           </div>
@@ -421,6 +688,35 @@ const Assignments = () => {
                     })}
                   </div>
 
+                  <div className="mb-4 p-4 bg-gray-50 rounded-lg">
+                    <h4 className="text-sm font-semibold text-gray-700 mb-2">Vehicle Load After Assignment</h4>
+                    <CapacityMeter load={runLoad} capacity={capacity} />
+                  </div>
+
+                  {!isActiveDriver(selectedDriver) && (
+                    <div className="mb-4 flex items-start gap-2 bg-red-50 border border-red-200 p-3 rounded-lg text-sm text-red-800">
+                      <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                      <span>{selectedDriver?.fullname} is {getEmploymentStatus(selectedDriver)} and can't be assigned deliveries.</span>
+                    </div>
+                  )}
+
+                  {licenceExpired && (
+                    <div className="mb-4 flex items-start gap-2 bg-red-50 border border-red-200 p-3 rounded-lg text-sm text-red-800">
+                      <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                      <span>{selectedDriver?.fullname}'s driving licence has expired. Renew it on the Drivers page before assigning deliveries.</span>
+                    </div>
+                  )}
+
+                  {shiftWarnings.length > 0 && (
+                    <div className="mb-4 flex items-start gap-2 bg-orange-50 border border-orange-200 p-3 rounded-lg text-sm text-orange-800">
+                      <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                      <div>
+                        <p className="font-semibold">{selectedDriver?.fullname} may not be available</p>
+                        {shiftWarnings.map(warning => <p key={warning}>{warning}</p>)}
+                      </div>
+                    </div>
+                  )}
+
                   <div className="flex gap-3 justify-end">
                     <button
                       onClick={() => setShowAssignModal(false)}
@@ -430,10 +726,10 @@ const Assignments = () => {
                     </button>
                     <button
                       onClick={handleAssignDeliveries}
-                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
-                      disabled={selectedDeliveries.filter(d => d.status === 'pending').length === 0}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                      disabled={overCapacity || !canAssignDriver(selectedDriver, now) || selectedDeliveries.filter(d => canTransition(d.status, 'assign')).length === 0}
                     >
-                      Assign {selectedDeliveries.filter(d => d.status === 'pending').length} Delivery(ies)
+                      Assign {selectedDeliveries.filter(d => canTransition(d.status, 'assign')).length} Delivery(ies)
                     </button>
                   </div>
                 </>
@@ -442,6 +738,10 @@ const Assignments = () => {
           </div>
         </div>
       )}
+
+      {reasonRequest && (
+        <StatusReasonModal request={reasonRequest} onSubmit={submitReason} onClose={cancelReason} />
+      )}
     </div>
   );
 };
@@ -1,6 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { Users, Package, MapPin, TrendingUp, Clock, CheckCircle } from 'lucide-react';
-import { driversAPI, deliveriesAPI, locationsAPI } from '../services/api';
+import { Users, Package, MapPin, TrendingUp, Clock, CheckCircle, AlarmClock, Timer, FileWarning } from 'lucide-react';
+import { driversAPI, deliveriesAPI, locationsAPI, settingsAPI } from '../services/api';
+import { ACTIVE_STATUSES } from '../utils/deliveryLifecycle';
+import StatusBadge from '../components/StatusBadge';
+import { getScheduleState } from '../utils/schedule';
+import { getSlaState, DEFAULT_SLA_HOURS } from '../utils/priority';
+import { expiringDocuments, getDocumentLabel, EXPIRY_WARNING_DAYS } from '../utils/driverDocuments';
+import ExpiryBadge from '../components/ExpiryBadge';
 
 const Dashboard = () => {
   const [stats, setStats] = useState({
@@ -10,17 +16,24 @@ const Dashboard = () => {
     totalDeliveryPoints: 0,
     completedToday: 0,
     pendingDeliveries: 0,
+    overdueDeliveries: 0,
+    atRiskDeliveries: 0,
+    slaBreaches: 0,
+    openSlaBreaches: 0,
   });
   const [recentActivity, setRecentActivity] = useState([]);
+  const [expiringDocs, setExpiringDocs] = useState([]);
   const [loading, setLoading] = useState(true);
 
   const fetchDashboardData = async () => {
     try {
       setLoading(true);
-      const [driversRes, deliveriesRes, locationsRes] = await Promise.all([
+      const [driversRes, deliveriesRes, locationsRes, slaRes] = await Promise.all([
         driversAPI.getAll(),
         deliveriesAPI.getAll(),
         locationsAPI.getAllLocations(),
+        // Fall back to the default targets if settings can't be loaded
+        settingsAPI.getSlaTargets().catch(() => ({ data: {} })),
       ]);
 
       const drivers = driversRes.data;
@@ -35,13 +48,21 @@ const Dashboard = () => {
       }).length;
 
       // Count active deliveries (assigned or completed but not approved)
-      const activeDeliveries = deliveries.filter(
-        d => d.status === 'assigned' || d.status === 'completed'
-      ).length;
+      const activeDeliveries = deliveries.filter(d => ACTIVE_STATUSES.includes(d.status)).length;
 
       // Count pending deliveries
       const pendingDeliveries = deliveries.filter(d => d.status === 'pending').length;
 
+      // Count deliveries behind or close to their schedule
+      const now = Date.now();
+      const scheduleStates = deliveries.map(d => getScheduleState(d, now).state);
+      const overdueDeliveries = scheduleStates.filter(state => state === 'overdue').length;
+      const atRiskDeliveries = scheduleStates.filter(state => state === 'at-risk').length;
+
+      // Count SLA breaches, and how many of those are still open
+      const slaHours = { ...DEFAULT_SLA_HOURS, ...(slaRes.data || {}) };
+      const breaches = deliveries.map(d => getSlaState(d, slaHours, now)).filter(sla => sla.state === 'breached');
+
       // Count completed today
       const today = new Date();
       today.setHours(0, 0, 0, 0);
@@ -60,6 +81,10 @@ const Dashboard = () => {
         totalDeliveryPoints: deliveries.length,
         completedToday: completedToday,
         pendingDeliveries: pendingDeliveries,
+        overdueDeliveries: overdueDeliveries,
+        atRiskDeliveries: atRiskDeliveries,
+        slaBreaches: breaches.length,
+        openSlaBreaches: breaches.filter(sla => sla.open).length,
       });
 
       // Get recent deliveries for activity feed
@@ -72,6 +97,7 @@ const Dashboard = () => {
         .slice(0, 5);
 
       setRecentActivity(recent);
+      setExpiringDocs(expiringDocuments(drivers, now));
       setLoading(false);
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
@@ -87,16 +113,6 @@ const Dashboard = () => {
     fetchData();
   }, []);
   
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'pending': return 'bg-yellow-100 text-yellow-800';
-      case 'assigned': return 'bg-blue-100 text-blue-800';
-      case 'completed': return 'bg-green-100 text-green-800';
-      case 'approved': return 'bg-purple-100 text-purple-800';
-      default: return 'bg-gray-100 text-gray-800';
-    }
-  };
-
   const formatTime = (timestamp) => {
     if (!timestamp) return 'N/A';
     const date = timestamp._seconds ? new Date(timestamp._seconds * 1000) : new Date(timestamp);
@@ -131,7 +147,7 @@ const Dashboard = () => {
       </div>
 
       {/* Stats Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6 mb-8">
         <div className="bg-white p-6 rounded-lg shadow hover:shadow-lg transition">
           <div className="flex items-center justify-between">
             <div>
@@ -170,6 +186,19 @@ const Dashboard = () => {
           </div>
         </div>
 
+        <div className="bg-white p-6 rounded-lg shadow hover:shadow-lg transition">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-gray-500 text-sm">Overdue</p>
+              <p className="text-3xl font-bold text-red-600">{stats.overdueDeliveries}</p>
+              <p className="text-xs text-gray-500 mt-1">{stats.atRiskDeliveries} at risk (due within 1h)</p>
+            </div>
+            <div className="bg-red-100 p-3 rounded-full">
+              <AlarmClock className="w-6 h-6 text-red-600" />
+            </div>
+          </div>
+        </div>
+
         <div className="bg-white p-6 rounded-lg shadow hover:shadow-lg transition">
           <div className="flex items-center justify-between">
             <div>
@@ -212,9 +241,7 @@ const Dashboard = () => {
                     </div>
                   </div>
                   <div className="flex flex-col items-end gap-2 flex-shrink-0">
-                    <span className={`px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(delivery.status)}`}>
-                      {delivery.status}
-                    </span>
+                    <StatusBadge status={delivery.status} />
                     <span className="text-xs text-gray-500 flex items-center gap-1">
                       <Clock className="w-3 h-3" />
                       {formatTime(delivery.updatedAt || delivery.createdAt)}
@@ -255,6 +282,17 @@ const Dashboard = () => {
               <span className="text-xl font-bold text-yellow-600">{stats.pendingDeliveries}</span>
             </div>
 
+            <div className="flex items-center justify-between p-3 bg-red-50 rounded-lg">
+              <div className="flex items-center gap-3">
+                <Timer className="w-5 h-5 text-red-600" />
+                <div>
+                  <span className="text-sm font-medium text-gray-700 block">SLA Breaches</span>
+                  <span className="text-xs text-gray-500">{stats.openSlaBreaches} still open</span>
+                </div>
+              </div>
+              <span className="text-xl font-bold text-red-600">{stats.slaBreaches}</span>
+            </div>
+
             <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
               <div className="flex items-center gap-3">
                 <Users className="w-5 h-5 text-gray-600" />
@@ -291,6 +329,37 @@ const Dashboard = () => {
           </div>
         </div>
       </div>
+
+      {/* Driver documents needing renewal */}
+      <div className="mt-6 bg-white rounded-lg shadow p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-800">Expiring Documents</h2>
+          <a href="/drivers" className="text-sm text-blue-600 hover:text-blue-800 font-semibold">
+            Manage Drivers
+          </a>
+        </div>
+
+        {expiringDocs.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">No driver documents expire in the next {EXPIRY_WARNING_DAYS} days</p>
+        ) : (
+          <div className="space-y-2">
+            {expiringDocs.map(({ driver, document, expiry }, index) => (
+              <div key={`${driver.id}-${index}`} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <div className="flex items-center gap-3">
+                  <FileWarning className={`w-5 h-5 ${expiry.state === 'expired' ? 'text-red-600' : 'text-yellow-600'}`} />
+                  <div>
+                    <p className="font-semibold text-gray-800">{driver.fullname}</p>
+                    <p className="text-sm text-gray-600">
+                      {getDocumentLabel(document)} {document.number} • {document.expiryDate}
+                    </p>
+                  </div>
+                </div>
+                <ExpiryBadge expiry={expiry} />
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
     </div>
   );
 };
@@ -1,6 +1,44 @@
 import React, { useState, useEffect } from 'react';
-import { Search, Plus, Edit, Trash2, Eye, MapPin, Package, X, User } from 'lucide-react';
-import { deliveriesAPI, driversAPI } from '../services/api';
+import { Search, Plus, Edit, Trash2, Eye, MapPin, Package, X, User, Upload, Repeat } from 'lucide-react';
+import { deliveriesAPI, driversAPI, templatesAPI } from '../services/api';
+import LocationPicker from '../components/LocationPicker';
+import { hasCoordinates, formatCoordinates } from '../utils/geo';
+import { useDeliveryEtas } from '../hooks/useDeliveryEtas';
+import EtaBadge from '../components/EtaBadge';
+import DeliveryImportModal from '../components/DeliveryImportModal';
+import DeliveryTimeline from '../components/DeliveryTimeline';
+import { recordDeliveryEvent, assignmentEventType } from '../utils/deliveryHistory';
+import { DELIVERY_ACTIONS, STATUS_ORDER, canTransition, availableActions, getStatusMeta, transitionError } from '../utils/deliveryLifecycle';
+import { useDeliveryStatusActions, STATUS_ACTION_KEYS } from '../hooks/useDeliveryStatusActions';
+import StatusBadge from '../components/StatusBadge';
+import ScheduleBadge from '../components/ScheduleBadge';
+import { validateSchedule, formatSchedule } from '../utils/schedule';
+import { useNow } from '../hooks/useNow';
+import PriorityBadge from '../components/PriorityBadge';
+import { PRIORITIES, PRIORITY_ORDER, getPriority, sortByPriority } from '../utils/priority';
+import TemplateFormModal from '../components/TemplateFormModal';
+import StatusReasonModal from '../components/StatusReasonModal';
+import ApprovalModal from '../components/ApprovalModal';
+import { fetchCompletionCheck, describeLocationWarning } from '../utils/proofOfDelivery';
+import { templateFromDelivery, generateTemplateDeliveries } from '../utils/templateDeliveries';
+import { ITEM_UNITS, deliveryLoad, formatLoad, formatItemQuantity, formatItemSpecs } from '../utils/load';
+import { canAssignDriver, getAssignmentBlocker } from '../utils/driverStatus';
+
+const EMPTY_ITEM = { name: '', quantity: '', unit: 'pcs', weightKg: '', lengthCm: '', widthCm: '', heightCm: '' };
+
+// Optional per-unit measurements are stored as numbers, or null when blank
+const toItem = (input) => {
+  const measure = (value) => (value === '' ? null : Number(value));
+  return {
+    name: input.name,
+    quantity: input.quantity,
+    unit: input.unit,
+    weightKg: measure(input.weightKg),
+    lengthCm: measure(input.lengthCm),
+    widthCm: measure(input.widthCm),
+    heightCm: measure(input.heightCm),
+  };
+};
 
 const DeliveryPoints = () => {
   const [deliveries, setDeliveries] = useState([]);
@@ -10,16 +48,26 @@ const DeliveryPoints = () => {
   const [statusFilter, setStatusFilter] = useState('all');
   const [showModal, setShowModal] = useState(false);
   const [showAssignModal, setShowAssignModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
   const [modalMode, setModalMode] = useState('add');
   const [selectedDelivery, setSelectedDelivery] = useState(null);
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     destination: '',
+    latitude: null,
+    longitude: null,
+    scheduledDate: '',
+    windowStart: '',
+    windowEnd: '',
+    priority: 'normal',
     items: [],
   });
-  const [itemInput, setItemInput] = useState({ name: '', quantity: '' });
+  const [itemInput, setItemInput] = useState(EMPTY_ITEM);
   const [selectedDriverId, setSelectedDriverId] = useState('');
+  const [templateSource, setTemplateSource] = useState(null);
+  const [approvingDelivery, setApprovingDelivery] = useState(null);
+  const [approvalCheck, setApprovalCheck] = useState(null);
 
   useEffect(() => {
     fetchDeliveries();
@@ -54,6 +102,12 @@ const DeliveryPoints = () => {
       title: '',
       description: '',
       destination: '',
+      latitude: null,
+      longitude: null,
+      scheduledDate: '',
+      windowStart: '',
+      windowEnd: '',
+      priority: 'normal',
       items: [],
     });
     setShowModal(true);
@@ -66,6 +120,12 @@ const DeliveryPoints = () => {
       title: delivery.title || '',
       description: delivery.description || '',
       destination: delivery.destination || '',
+      latitude: delivery.latitude ?? null,
+      longitude: delivery.longitude ?? null,
+      scheduledDate: delivery.scheduledDate || '',
+      windowStart: delivery.windowStart || '',
+      windowEnd: delivery.windowEnd || '',
+      priority: getPriority(delivery),
       items: delivery.items || [],
     });
     setShowModal(true);
@@ -78,13 +138,16 @@ const DeliveryPoints = () => {
   };
 
   const handleAddItem = () => {
-    if (itemInput.name && itemInput.quantity) {
-      setFormData({
-        ...formData,
-        items: [...formData.items, { ...itemInput }],
-      });
-      setItemInput({ name: '', quantity: '' });
+    if (!itemInput.name || !itemInput.quantity) return;
+    if (!(Number(itemInput.quantity) > 0)) {
+      alert('Quantity must be a number greater than 0');
+      return;
     }
+    setFormData({
+      ...formData,
+      items: [...formData.items, toItem(itemInput)],
+    });
+    setItemInput(EMPTY_ITEM);
   };
 
   const handleRemoveItem = (index) => {
@@ -96,9 +159,19 @@ const DeliveryPoints = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    if (!hasCoordinates(formData)) {
+      alert('Please place the destination on the map');
+      return;
+    }
+    const scheduleError = validateSchedule(formData);
+    if (scheduleError) {
+      alert(scheduleError);
+      return;
+    }
     try {
       if (modalMode === 'add') {
-        await deliveriesAPI.create(formData);
+        const response = await deliveriesAPI.create(formData);
+        if (response.data?.id) await recordDeliveryEvent(response.data.id, 'created');
         alert('Delivery point created successfully!');
       } else if (modalMode === 'edit') {
         await deliveriesAPI.update(selectedDelivery.id, formData);
@@ -126,6 +199,10 @@ const DeliveryPoints = () => {
   };
 
   const handleOpenAssignModal = (delivery) => {
+    if (!canTransition(delivery.status, 'assign')) {
+      alert(transitionError(delivery.status, 'assign'));
+      return;
+    }
     setSelectedDelivery(delivery);
     setSelectedDriverId(delivery.assignedDriverId || '');
     setShowAssignModal(true);
@@ -136,8 +213,19 @@ const DeliveryPoints = () => {
       alert('Please select a driver');
       return;
     }
+    const driver = drivers.find(d => String(d.id) === String(selectedDriverId));
+    const blocker = driver && getAssignmentBlocker(driver, Date.now());
+    if (blocker) {
+      alert(blocker);
+      return;
+    }
     try {
       await deliveriesAPI.assignDriver(selectedDelivery.id, selectedDriverId);
+      await recordDeliveryEvent(selectedDelivery.id, assignmentEventType(selectedDelivery), {
+        driverId: selectedDriverId,
+        driverName: driver?.fullname,
+        previousDriverName: selectedDelivery.driverName || null,
+      });
       alert('Driver assigned successfully!');
       setShowAssignModal(false);
       fetchDeliveries();
@@ -147,20 +235,42 @@ const DeliveryPoints = () => {
     }
   };
 
+  // Same approval flow as Delivery Status: item acceptance and location check
   const handleApproveDelivery = async (delivery) => {
-    if (window.confirm(`Approve delivery "${delivery.title}"?`)) {
-      try {
-        await deliveriesAPI.approve(delivery.id);
-        alert('Delivery approved!');
-        fetchDeliveries();
-      } catch (error) {
-        console.error('Error approving delivery:', error);
-        alert('Failed to approve delivery');
-      }
+    if (!canTransition(delivery.status, 'approve')) {
+      alert(transitionError(delivery.status, 'approve'));
+      return;
+    }
+    setApprovalCheck(await fetchCompletionCheck(delivery));
+    setApprovingDelivery(delivery);
+  };
+
+  const handleApproved = () => {
+    setApprovingDelivery(null);
+    fetchDeliveries();
+  };
+
+  const handleSaveTemplate = async (data) => {
+    const template = { ...templateSource, ...data, status: 'active' };
+    const response = await templatesAPI.create(template);
+    try {
+      const { created, failed } = await generateTemplateDeliveries([{ ...template, ...response.data }], drivers);
+      alert(`Recurring delivery saved. Created ${created} upcoming deliveries${failed > 0 ? `, ${failed} failed` : ''}.`);
+    } catch (error) {
+      // The template is saved; its deliveries can be generated from the Recurring page
+      console.error('Error generating deliveries:', error);
+      alert('Recurring delivery saved, but its upcoming deliveries could not be created yet.');
     }
+    setTemplateSource(null);
+    fetchDeliveries();
   };
 
-  const filteredDeliveries = deliveries.filter(delivery => {
+  const { runStatusAction, reasonRequest, submitReason, cancelReason } = useDeliveryStatusActions(fetchDeliveries);
+
+  const etas = useDeliveryEtas(deliveries);
+  const now = useNow();
+
+  const filteredDeliveries = sortByPriority(deliveries.filter(delivery => {
     const matchesSearch = 
       delivery.title?.toLowerCase().includes(searchTerm.toLowerCase()) ||
       delivery.destination?.toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -169,17 +279,7 @@ const DeliveryPoints = () => {
     const matchesStatus = statusFilter === 'all' || delivery.status === statusFilter;
     
     return matchesSearch && matchesStatus;
-  });
-
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'pending': return 'bg-yellow-100 text-yellow-800';
-      case 'assigned': return 'bg-blue-100 text-blue-800';
-      case 'completed': return 'bg-green-100 text-green-800';
-      case 'approved': return 'bg-purple-100 text-purple-800';
-      default: return 'bg-gray-100 text-gray-800';
-    }
-  };
+  }));
 
   const formatDate = (timestamp) => {
     if (!timestamp) return 'N/A';
@@ -197,13 +297,22 @@ const DeliveryPoints = () => {
     <div className="p-6">
       <div className="flex justify-between items-center mb-6">
         <h1 className="text-3xl font-bold text-gray-800">Delivery Points Management</h1>
-        <button
-          onClick={handleAddDelivery}
-          className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition"
-        >
-          <Plus className="w-5 h-5" />
-          Add Delivery Point
-        </button>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => setShowImportModal(true)}
+            className="flex items-center gap-2 bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition"
+          >
+            <Upload className="w-5 h-5" />
+            Import
+          </button>
+          <button
+            onClick={handleAddDelivery}
+            className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition"
+          >
+            <Plus className="w-5 h-5" />
+            Add Delivery Point
+          </button>
+        </div>
       </div>
 
       {/* Filters */}
@@ -226,10 +335,9 @@ const DeliveryPoints = () => {
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
             >
               <option value="all">All Status</option>
-              <option value="pending">Pending</option>
-              <option value="assigned">Assigned</option>
-              <option value="completed">Completed</option>
-              <option value="approved">Approved</option>
+              {STATUS_ORDER.map(status => (
+                <option key={status} value={status}>{getStatusMeta(status).label}</option>
+              ))}
             </select>
           </div>
         </div>
@@ -253,9 +361,10 @@ const DeliveryPoints = () => {
               <div key={delivery.id} className="bg-white rounded-lg shadow hover:shadow-lg transition p-6">
                 <div className="flex justify-between items-start mb-4">
                   <h3 className="text-lg font-bold text-gray-800">{delivery.title}</h3>
-                  <span className={`px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(delivery.status)}`}>
-                    {delivery.status}
-                  </span>
+                  <div className="flex items-center gap-1 flex-shrink-0">
+                    <PriorityBadge delivery={delivery} />
+                    <StatusBadge status={delivery.status} />
+                  </div>
                 </div>
 
                 <div className="space-y-2 mb-4">
@@ -273,8 +382,11 @@ const DeliveryPoints = () => {
 
                   <div className="flex items-center gap-2 text-sm text-gray-600">
                     <Package className="w-4 h-4 flex-shrink-0" />
-                    <span>{delivery.items?.length || 0} items</span>
+                    <span>{delivery.items?.length || 0} items • {formatLoad(deliveryLoad(delivery))}</span>
                   </div>
+
+                  <ScheduleBadge delivery={delivery} now={now} eta={etas[delivery.id]} />
+                  <EtaBadge eta={etas[delivery.id]} />
                 </div>
 
                 <div className="flex flex-wrap gap-2">
@@ -292,6 +404,13 @@ const DeliveryPoints = () => {
                     <Edit className="w-4 h-4" />
                     Edit
                   </button>
+                  <button
+                    onClick={() => setTemplateSource(templateFromDelivery(delivery))}
+                    className="px-3 py-2 bg-gray-50 text-gray-600 rounded-lg hover:bg-gray-100 transition text-sm"
+                    title="Save as Template"
+                  >
+                    <Repeat className="w-4 h-4" />
+                  </button>
                   <button
                     onClick={() => handleDeleteDelivery(delivery)}
                     className="px-3 py-2 bg-red-50 text-red-600 rounded-lg hover:bg-red-100 transition text-sm"
@@ -300,7 +419,7 @@ const DeliveryPoints = () => {
                   </button>
                 </div>
 
-                {delivery.status === 'pending' && (
+                {canTransition(delivery.status, 'assign') && (
                   <button
                     onClick={() => handleOpenAssignModal(delivery)}
                     className="w-full mt-2 px-3 py-2 bg-purple-50 text-purple-600 rounded-lg hover:bg-purple-100 transition text-sm font-semibold"
@@ -309,7 +428,7 @@ const DeliveryPoints = () => {
                   </button>
                 )}
 
-                {delivery.status === 'completed' && (
+                {canTransition(delivery.status, 'approve') && (
                   <button
                     onClick={() => handleApproveDelivery(delivery)}
                     className="w-full mt-2 px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition text-sm font-semibold"
@@ -317,6 +436,20 @@ const DeliveryPoints = () => {
                     Approve Delivery
                   </button>
                 )}
+
+                {availableActions(delivery.status, STATUS_ACTION_KEYS).length > 0 && (
+                  <div className="flex gap-2 mt-2">
+                    {availableActions(delivery.status, STATUS_ACTION_KEYS).map(action => (
+                      <button
+                        key={action}
+                        onClick={() => runStatusAction(delivery, action)}
+                        className="flex-1 px-3 py-1.5 border border-gray-200 text-gray-600 rounded-lg hover:bg-gray-50 transition text-xs font-semibold"
+                      >
+                        {DELIVERY_ACTIONS[action].label}
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
             ))
           )}
@@ -350,12 +483,19 @@ const DeliveryPoints = () => {
                   <div>
                     <label className="text-sm font-semibold text-gray-600">Destination</label>
                     <p className="text-gray-900">{selectedDelivery?.destination}</p>
+                    <p className="text-xs text-gray-500">{formatCoordinates(selectedDelivery)}</p>
+                  </div>
+                  <div>
+                    <label className="text-sm font-semibold text-gray-600">Schedule</label>
+                    <p className="text-gray-900">{formatSchedule(selectedDelivery)}</p>
                   </div>
                   <div>
                     <label className="text-sm font-semibold text-gray-600">Status</label>
-                    <p><span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusColor(selectedDelivery?.status)}`}>
-                      {selectedDelivery?.status}
-                    </span></p>
+                    <p><StatusBadge status={selectedDelivery?.status} /></p>
+                  </div>
+                  <div>
+                    <label className="text-sm font-semibold text-gray-600">Priority</label>
+                    <p><PriorityBadge delivery={selectedDelivery} /></p>
                   </div>
                   {selectedDelivery?.driverName && (
                     <div>
@@ -364,12 +504,19 @@ const DeliveryPoints = () => {
                     </div>
                   )}
                   <div>
-                    <label className="text-sm font-semibold text-gray-600 mb-2 block">Items</label>
+                    <label className="text-sm font-semibold text-gray-600 mb-2 block">
+                      Items (total {formatLoad(deliveryLoad(selectedDelivery))})
+                    </label>
                     <div className="space-y-2">
                       {selectedDelivery?.items?.map((item, index) => (
                         <div key={index} className="flex justify-between items-center bg-gray-50 p-3 rounded">
-                          <span className="text-gray-900">{item.name}</span>
-                          <span className="text-gray-600">Qty: {item.quantity}</span>
+                          <div>
+                            <span className="text-gray-900">{item.name}</span>
+                            {formatItemSpecs(item) && (
+                              <p className="text-xs text-gray-500">{formatItemSpecs(item)} per unit</p>
+                            )}
+                          </div>
+                          <span className="text-gray-600">Qty: {formatItemQuantity(item)}</span>
                         </div>
                       ))}
                     </div>
@@ -378,6 +525,7 @@ const DeliveryPoints = () => {
                     <label className="text-sm font-semibold text-gray-600">Created At</label>
                     <p className="text-gray-900">{formatDate(selectedDelivery?.createdAt)}</p>
                   </div>
+                  <DeliveryTimeline delivery={selectedDelivery} />
                 </div>
               </div>
             ) : (
@@ -416,6 +564,62 @@ const DeliveryPoints = () => {
                     />
                   </div>
 
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-2">Location on Map *</label>
+                    <LocationPicker
+                      value={formData}
+                      onChange={({ latitude, longitude }) => setFormData({...formData, latitude, longitude})}
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      {hasCoordinates(formData)
+                        ? `Selected: ${formatCoordinates(formData)} (drag the marker to adjust)`
+                        : 'Click on the map to place the destination'}
+                    </p>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-2">Priority</label>
+                    <select
+                      value={formData.priority}
+                      onChange={(e) => setFormData({...formData, priority: e.target.value})}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {PRIORITY_ORDER.map(priority => (
+                        <option key={priority} value={priority}>{PRIORITIES[priority].label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-700 mb-2">Scheduled Date</label>
+                      <input
+                        type="date"
+                        value={formData.scheduledDate}
+                        onChange={(e) => setFormData({...formData, scheduledDate: e.target.value})}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-700 mb-2">Window From</label>
+                      <input
+                        type="time"
+                        value={formData.windowStart}
+                        onChange={(e) => setFormData({...formData, windowStart: e.target.value})}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-700 mb-2">Window To</label>
+                      <input
+                        type="time"
+                        value={formData.windowEnd}
+                        onChange={(e) => setFormData({...formData, windowEnd: e.target.value})}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                  </div>
+
                   <div>
                     <label className="block text-sm font-semibold text-gray-700 mb-2">Items *</label>
                     <div className="flex gap-2 mb-2">
@@ -427,12 +631,46 @@ const DeliveryPoints = () => {
                         className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                       />
                       <input
-                        type="text"
+                        type="number"
+                        min="0"
+                        step="any"
                         placeholder="Quantity"
                         value={itemInput.quantity}
                         onChange={(e) => setItemInput({...itemInput, quantity: e.target.value})}
-                        className="w-32 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        className="w-28 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <select
+                        value={itemInput.unit}
+                        onChange={(e) => setItemInput({...itemInput, unit: e.target.value})}
+                        className="w-28 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {ITEM_UNITS.map(unit => (
+                          <option key={unit} value={unit}>{unit}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="flex gap-2 mb-2 items-center">
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        placeholder="Weight (kg/unit)"
+                        value={itemInput.weightKg}
+                        onChange={(e) => setItemInput({...itemInput, weightKg: e.target.value})}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                       />
+                      {['lengthCm', 'widthCm', 'heightCm'].map((dimension, index) => (
+                        <input
+                          key={dimension}
+                          type="number"
+                          min="0"
+                          step="any"
+                          placeholder={['L', 'W', 'H'][index] + ' (cm)'}
+                          value={itemInput[dimension]}
+                          onChange={(e) => setItemInput({...itemInput, [dimension]: e.target.value})}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                      ))}
                       <button
                         type="button"
                         onClick={handleAddItem}
@@ -444,9 +682,14 @@ const DeliveryPoints = () => {
                     <div className="space-y-2">
                       {formData.items.map((item, index) => (
                         <div key={index} className="flex justify-between items-center bg-gray-50 p-3 rounded">
-                          <span className="text-gray-900">{item.name}</span>
+                          <div>
+                            <span className="text-gray-900">{item.name}</span>
+                            {formatItemSpecs(item) && (
+                              <p className="text-xs text-gray-500">{formatItemSpecs(item)} per unit</p>
+                            )}
+                          </div>
                           <div className="flex items-center gap-3">
-                            <span className="text-gray-600">Qty: {item.quantity}</span>
+                            <span className="text-gray-600">Qty: {formatItemQuantity(item)}</span>
                             <button
                               type="button"
                               onClick={() => handleRemoveItem(index)}
@@ -458,8 +701,10 @@ const DeliveryPoints = () => {
                         </div>
                       ))}
                     </div>
-                    {formData.items.length === 0 && (
+                    {formData.items.length === 0 ? (
                       <p className="text-sm text-gray-500 mt-2">No items added yet</p>
+                    ) : (
+                      <p className="text-sm text-gray-600 mt-2">Total load: {formatLoad(deliveryLoad(formData))}</p>
                     )}
                   </div>
                 </div>
@@ -509,7 +754,7 @@ const DeliveryPoints = () => {
                 className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 mb-4"
               >
                 <option value="">-- Select a driver --</option>
-                {drivers.map((driver) => (
+                {drivers.filter(driver => canAssignDriver(driver, now)).map((driver) => (
                   <option key={driver.id} value={driver.id}>
                     {driver.fullname} (@{driver.username})
                   </option>
@@ -535,6 +780,38 @@ const DeliveryPoints = () => {
           </div>
         </div>
       )}
+
+      {/* Import Modal */}
+      {showImportModal && (
+        <DeliveryImportModal
+          onClose={() => setShowImportModal(false)}
+          onImported={fetchDeliveries}
+        />
+      )}
+
+      {/* Save as Template Modal */}
+      {templateSource && (
+        <TemplateFormModal
+          template={templateSource}
+          drivers={drivers}
+          heading="Save as Recurring Delivery"
+          onSave={handleSaveTemplate}
+          onClose={() => setTemplateSource(null)}
+        />
+      )}
+
+      {approvingDelivery && (
+        <ApprovalModal
+          delivery={approvingDelivery}
+          locationWarning={describeLocationWarning(approvalCheck)}
+          onClose={() => setApprovingDelivery(null)}
+          onApproved={handleApproved}
+        />
+      )}
+
+      {reasonRequest && (
+        <StatusReasonModal request={reasonRequest} onSubmit={submitReason} onClose={cancelReason} />
+      )}
     </div>
   );
 };
@@ -1,6 +1,29 @@
 import React, { useState, useEffect } from 'react';
-import { Search, Filter, Eye, CheckCircle, XCircle, Clock, Package, MapPin, User, Calendar, X, Image as ImageIcon, ZoomIn } from 'lucide-react';
-import { deliveriesAPI } from '../services/api';
+import { Search, Filter, Eye, CheckCircle, XCircle, Clock, Package, MapPin, User, Calendar, X, Image as ImageIcon, ZoomIn, AlertTriangle, Navigation, Download, FileText, Timer, Settings } from 'lucide-react';
+import { deliveriesAPI, driversAPI } from '../services/api';
+import { fetchCompletionCheck, describeLocationWarning, POD_DISTANCE_THRESHOLD_METERS } from '../utils/proofOfDelivery';
+import { formatDistance } from '../utils/geo';
+import { exportDeliveriesCsv, exportDeliveriesPdf } from '../utils/deliveryReport';
+import DeliveryTimeline from '../components/DeliveryTimeline';
+import StatusBadge from '../components/StatusBadge';
+import ScheduleBadge from '../components/ScheduleBadge';
+import { useNow } from '../hooks/useNow';
+import { formatSchedule } from '../utils/schedule';
+import { deliveryLoad, formatLoad, formatItemQuantity, formatItemSpecs } from '../utils/load';
+import { getSlaState } from '../utils/priority';
+import { formatDuration, toDate } from '../utils/time';
+import { useSlaTargets } from '../hooks/useSlaTargets';
+import PriorityBadge from '../components/PriorityBadge';
+import SlaSettingsModal from '../components/SlaSettingsModal';
+import ApprovalModal from '../components/ApprovalModal';
+import { ITEM_OUTCOMES } from '../utils/itemAcceptance';
+import RejectionModal from '../components/RejectionModal';
+import RejectionReasonsModal from '../components/RejectionReasonsModal';
+import StatusReasonModal from '../components/StatusReasonModal';
+import { useRejectionReasons } from '../hooks/useRejectionReasons';
+import { getRejections } from '../utils/rejection';
+import { DELIVERY_ACTIONS, STATUS_ORDER, canTransition, availableActions, getStatusMeta, transitionError } from '../utils/deliveryLifecycle';
+import { useDeliveryStatusActions, STATUS_ACTION_KEYS } from '../hooks/useDeliveryStatusActions';
 
 const DeliveryStatus = () => {
   const [deliveries, setDeliveries] = useState([]);
@@ -17,6 +40,18 @@ const DeliveryStatus = () => {
     driverOrder: null
   });
   const [loadingImages, setLoadingImages] = useState(false);
+  const [completionCheck, setCompletionCheck] = useState(null);
+  const [loadingCompletionCheck, setLoadingCompletionCheck] = useState(false);
+  const [includePhotos, setIncludePhotos] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [showSlaModal, setShowSlaModal] = useState(false);
+  const [approvingDelivery, setApprovingDelivery] = useState(null);
+  const [approvalCheck, setApprovalCheck] = useState(null);
+  const [rejectingDelivery, setRejectingDelivery] = useState(null);
+  const [rejectingDriver, setRejectingDriver] = useState(null);
+  const [showReasonsModal, setShowReasonsModal] = useState(false);
+  const [rejectionReasons, saveRejectionReasons] = useRejectionReasons();
+  const [slaHours, saveSlaHours] = useSlaTargets();
 
   useEffect(() => {
     fetchDeliveries();
@@ -59,10 +94,21 @@ const DeliveryStatus = () => {
     }
   };
 
+  const loadCompletionCheck = async (delivery) => {
+    setLoadingCompletionCheck(true);
+    setCompletionCheck(null);
+    setCompletionCheck(await fetchCompletionCheck(delivery));
+    setLoadingCompletionCheck(false);
+  };
+
   const handleViewDetails = async (delivery) => {
     setSelectedDelivery(delivery);
+    setCompletionCheck(null);
     if (delivery.status === 'completed' || delivery.status === 'approved') {
-      await loadDeliveryImages(delivery.id);
+      await Promise.all([
+        loadDeliveryImages(delivery.id),
+        loadCompletionCheck(delivery),
+      ]);
     }
     setShowDetailModal(true);
   };
@@ -73,44 +119,51 @@ const DeliveryStatus = () => {
   };
 
   const handleApprove = async (delivery) => {
-    if (window.confirm(`Approve delivery "${delivery.title}"?\n\nPlease ensure you have reviewed all proof-of-delivery images.`)) {
+    if (!canTransition(delivery.status, 'approve')) {
+      alert(transitionError(delivery.status, 'approve'));
+      return;
+    }
+    // Reuse the detail modal's check, otherwise run it for this delivery
+    const check = selectedDelivery?.id === delivery.id && completionCheck
+      ? completionCheck
+      : await fetchCompletionCheck(delivery);
+    setApprovalCheck(check);
+    setApprovingDelivery(delivery);
+  };
+
+  const handleApproved = () => {
+    if (selectedDelivery?.id === approvingDelivery.id) {
+      setShowDetailModal(false);
+    }
+    setApprovingDelivery(null);
+    fetchDeliveries();
+  };
+
+  const handleReject = async (delivery) => {
+    if (!canTransition(delivery.status, 'reject')) {
+      alert(transitionError(delivery.status, 'reject'));
+      return;
+    }
+    // Whether the delivery can go back to its driver depends on their record
+    let driver = null;
+    if (delivery.assignedDriverId) {
       try {
-        await deliveriesAPI.approve(delivery.id);
-        alert('Delivery approved successfully!');
-        fetchDeliveries();
-        if (selectedDelivery?.id === delivery.id) {
-          setShowDetailModal(false);
-        }
+        const response = await driversAPI.getById(delivery.assignedDriverId);
+        driver = response.data;
       } catch (error) {
-        console.error('Error approving delivery:', error);
-        alert(error.response?.data?.message || 'Failed to approve delivery');
+        console.error('Error fetching driver:', error);
       }
     }
+    setRejectingDriver(driver);
+    setRejectingDelivery(delivery);
   };
 
-  const handleReject = async (delivery) => {
-    const reason = prompt('Please enter rejection reason (optional):');
-    if (reason !== null) {
-      if (window.confirm(`Reject and unassign delivery "${delivery.title}"? This will set it back to pending status.`)) {
-        try {
-          await deliveriesAPI.update(delivery.id, {
-            status: 'pending',
-            assignedDriverId: null,
-            driverName: null,
-            completedAt: null,
-            rejectionReason: reason || 'No reason provided'
-          });
-          alert('Delivery rejected and set back to pending');
-          fetchDeliveries();
-          if (selectedDelivery?.id === delivery.id) {
-            setShowDetailModal(false);
-          }
-        } catch (error) {
-          console.error('Error rejecting delivery:', error);
-          alert('Failed to reject delivery');
-        }
-      }
+  const handleRejected = () => {
+    if (selectedDelivery?.id === rejectingDelivery.id) {
+      setShowDetailModal(false);
     }
+    setRejectingDelivery(null);
+    fetchDeliveries();
   };
 
   const filteredDeliveries = deliveries.filter(delivery => {
@@ -124,33 +177,59 @@ const DeliveryStatus = () => {
     return matchesSearch && matchesStatus;
   });
 
-  const getStatusIcon = (status) => {
-    switch (status) {
-      case 'pending': return <Clock className="w-5 h-5" />;
-      case 'assigned': return <Package className="w-5 h-5" />;
-      case 'completed': return <CheckCircle className="w-5 h-5" />;
-      case 'approved': return <CheckCircle className="w-5 h-5" />;
-      default: return <Package className="w-5 h-5" />;
+  const getReportBaseName = () => {
+    return `deliveries-${statusFilter}-${new Date().toISOString().split('T')[0]}`;
+  };
+
+  const handleExportCsv = () => {
+    if (filteredDeliveries.length === 0) {
+      alert('No deliveries to export');
+      return;
     }
+    exportDeliveriesCsv(filteredDeliveries, getReportBaseName());
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'pending': return 'bg-yellow-100 text-yellow-800 border-yellow-200';
-      case 'assigned': return 'bg-blue-100 text-blue-800 border-blue-200';
-      case 'completed': return 'bg-green-100 text-green-800 border-green-200';
-      case 'approved': return 'bg-purple-100 text-purple-800 border-purple-200';
-      default: return 'bg-gray-100 text-gray-800 border-gray-200';
+  // Proof-of-delivery image URLs for the finished deliveries in the report
+  const loadReportPhotos = async (list) => {
+    const photosById = {};
+    for (const delivery of list.filter(d => d.status === 'completed' || d.status === 'approved')) {
+      try {
+        const response = await deliveriesAPI.getById(delivery.id);
+        const proof = response.data.proofOfDelivery;
+        photosById[delivery.id] = [...(proof?.packageImages || []), proof?.locationImage].filter(Boolean);
+      } catch (err) {
+        console.error(`Error loading delivery images for ${delivery.id}:`, err);
+      }
     }
+    return photosById;
   };
 
-  const getStatusBadge = (status) => {
-    return (
-      <div className={`flex items-center gap-2 px-3 py-1.5 rounded-full border ${getStatusColor(status)}`}>
-        {getStatusIcon(status)}
-        <span className="font-semibold capitalize">{status}</span>
-      </div>
-    );
+  const handleExportPdf = async () => {
+    if (filteredDeliveries.length === 0) {
+      alert('No deliveries to export');
+      return;
+    }
+
+    setExporting(true);
+    try {
+      const filters = [
+        `Status: ${statusFilter === 'all' ? 'All' : statusFilter}`,
+        searchTerm && `Search: "${searchTerm}"`,
+        `Generated ${new Date().toLocaleString('en-US')}`,
+      ].filter(Boolean).join(' • ');
+
+      await exportDeliveriesPdf(filteredDeliveries, {
+        title: `Delivery Report (${filteredDeliveries.length} deliveries)`,
+        subtitle: filters,
+        baseName: getReportBaseName(),
+        photosById: includePhotos ? await loadReportPhotos(filteredDeliveries) : null,
+      });
+    } catch (error) {
+      console.error('Error exporting PDF report:', error);
+      alert('Failed to export PDF report');
+    } finally {
+      setExporting(false);
+    }
   };
 
   const formatDate = (timestamp) => {
@@ -165,12 +244,41 @@ const DeliveryStatus = () => {
     });
   };
 
+  const formatOffset = (millis) => {
+    const minutes = Math.round(Math.abs(millis) / 60000);
+    if (minutes === 0) return 'at completion time';
+    return `${minutes} min ${millis < 0 ? 'before' : 'after'} completion`;
+  };
+
+  const now = useNow();
+
+  const { runStatusAction, reasonRequest, submitReason, cancelReason } = useDeliveryStatusActions(() => {
+    fetchDeliveries();
+    setShowDetailModal(false);
+  });
+
+  const slaStates = Object.fromEntries(deliveries.map(d => [d.id, getSlaState(d, slaHours, now)]));
+
   const stats = {
     total: deliveries.length,
-    pending: deliveries.filter(d => d.status === 'pending').length,
-    assigned: deliveries.filter(d => d.status === 'assigned').length,
-    completed: deliveries.filter(d => d.status === 'completed').length,
-    approved: deliveries.filter(d => d.status === 'approved').length,
+    ...Object.fromEntries(STATUS_ORDER.map(status => [
+      status,
+      deliveries.filter(d => d.status === status).length,
+    ])),
+    slaBreached: deliveries.filter(d => slaStates[d.id].state === 'breached').length,
+  };
+
+  const renderSla = (sla) => {
+    if (sla.state === 'none') return null;
+    const className = sla.state === 'breached' ? 'text-red-700 font-semibold' : sla.state === 'met' ? 'text-green-700' : 'text-gray-500';
+    return (
+      <div className={`flex items-center gap-1 text-xs mt-1 ${className}`}>
+        <Timer className="w-3 h-3" />
+        {sla.state === 'breached' && 'SLA breached: '}
+        {sla.state === 'met' && 'SLA met: '}
+        {formatDuration(sla.elapsed)} / {formatDuration(sla.target)}
+      </div>
+    );
   };
 
   // Determine grid layout based on number of items
@@ -184,32 +292,71 @@ const DeliveryStatus = () => {
 
   return (
     <div className="p-6">
-      <div className="mb-6">
-        <h1 className="text-3xl font-bold text-gray-800 mb-2">Delivery Status</h1>
-        <p className="text-gray-600">Monitor and manage all delivery statuses</p>
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">Delivery Status</h1>
+          <p className="text-gray-600">Monitor and manage all delivery statuses</p>
+        </div>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => setShowSlaModal(true)}
+            className="flex items-center gap-2 text-sm text-gray-600 hover:text-gray-800 font-semibold"
+          >
+            <Settings className="w-4 h-4" />
+            SLA Targets
+          </button>
+          <button
+            onClick={() => setShowReasonsModal(true)}
+            className="flex items-center gap-2 text-sm text-gray-600 hover:text-gray-800 font-semibold"
+          >
+            <Settings className="w-4 h-4" />
+            Rejection Reasons
+          </button>
+          <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={includePhotos}
+              onChange={(e) => setIncludePhotos(e.target.checked)}
+              className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+            />
+            POD thumbnails in PDF
+          </label>
+          <button
+            onClick={handleExportCsv}
+            className="flex items-center gap-2 bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition"
+          >
+            <Download className="w-4 h-4" />
+            CSV
+          </button>
+          <button
+            onClick={handleExportPdf}
+            disabled={exporting}
+            className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+          >
+            <FileText className="w-4 h-4" />
+            {exporting ? 'Exporting...' : 'PDF Report'}
+          </button>
+        </div>
       </div>
 
       {/* Stats Cards */}
-      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 xl:grid-cols-8 gap-4 mb-6">
         <div className="bg-white p-4 rounded-lg shadow">
           <p className="text-sm text-gray-600 mb-1">Total</p>
           <p className="text-2xl font-bold text-gray-800">{stats.total}</p>
         </div>
-        <div className="bg-yellow-50 p-4 rounded-lg shadow border border-yellow-200">
-          <p className="text-sm text-yellow-700 mb-1">Pending</p>
-          <p className="text-2xl font-bold text-yellow-800">{stats.pending}</p>
-        </div>
-        <div className="bg-blue-50 p-4 rounded-lg shadow border border-blue-200">
-          <p className="text-sm text-blue-700 mb-1">Assigned</p>
-          <p className="text-2xl font-bold text-blue-800">{stats.assigned}</p>
-        </div>
-        <div className="bg-green-50 p-4 rounded-lg shadow border border-green-200">
-          <p className="text-sm text-green-700 mb-1">Completed</p>
-          <p className="text-2xl font-bold text-green-800">{stats.completed}</p>
-        </div>
-        <div className="bg-purple-50 p-4 rounded-lg shadow border border-purple-200">
-          <p className="text-sm text-purple-700 mb-1">Approved</p>
-          <p className="text-2xl font-bold text-purple-800">{stats.approved}</p>
+        {STATUS_ORDER.map(status => {
+          const meta = getStatusMeta(status);
+          return (
+            <div key={status} className={`p-4 rounded-lg shadow border ${meta.cardClass}`}>
+              <p className={`text-sm mb-1 ${meta.cardTextClass}`}>{meta.label}</p>
+              <p className={`text-2xl font-bold ${meta.cardTextClass}`}>{stats[status]}</p>
+            </div>
+          );
+        })}
+        <div className="bg-red-50 p-4 rounded-lg shadow border border-red-300">
+          <p className="text-sm text-red-700 mb-1">SLA Breached</p>
+          <p className="text-2xl font-bold text-red-800">{stats.slaBreached}</p>
         </div>
       </div>
 
@@ -234,10 +381,11 @@ const DeliveryStatus = () => {
               className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 appearance-none"
             >
               <option value="all">All Status</option>
-              <option value="pending">Pending</option>
-              <option value="assigned">Assigned</option>
-              <option value="completed">Completed (Needs Approval)</option>
-              <option value="approved">Approved</option>
+              {STATUS_ORDER.map(status => (
+                <option key={status} value={status}>
+                  {getStatusMeta(status).label}{status === 'completed' && ' (Needs Approval)'}
+                </option>
+              ))}
             </select>
           </div>
         </div>
@@ -265,13 +413,17 @@ const DeliveryStatus = () => {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Destination</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Driver</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Schedule</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Created</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
                 {filteredDeliveries.map((delivery) => (
-                  <tr key={delivery.id} className="hover:bg-gray-50 transition">
+                  <tr
+                    key={delivery.id}
+                    className={`transition ${slaStates[delivery.id].state === 'breached' ? 'bg-red-50 hover:bg-red-100' : 'hover:bg-gray-50'}`}
+                  >
                     <td className="px-6 py-4">
                       <div>
                         <div className="font-semibold text-gray-800">{delivery.title}</div>
@@ -300,7 +452,14 @@ const DeliveryStatus = () => {
                       )}
                     </td>
                     <td className="px-6 py-4">
-                      {getStatusBadge(delivery.status)}
+                      <div className="flex items-center gap-2">
+                        <StatusBadge status={delivery.status} withIcon />
+                        <PriorityBadge delivery={delivery} />
+                      </div>
+                      {renderSla(slaStates[delivery.id])}
+                    </td>
+                    <td className="px-6 py-4">
+                      <ScheduleBadge delivery={delivery} now={now} />
                     </td>
                     <td className="px-6 py-4 text-sm text-gray-600">
                       <div className="flex items-center gap-2">
@@ -317,24 +476,37 @@ const DeliveryStatus = () => {
                         >
                           <Eye className="w-5 h-5" />
                         </button>
-                        {delivery.status === 'completed' && (
-                          <>
-                            <button
-                              onClick={() => handleApprove(delivery)}
-                              className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition"
-                              title="Approve"
-                            >
-                              <CheckCircle className="w-5 h-5" />
-                            </button>
+                        {canTransition(delivery.status, 'approve') && (
+                          <button
+                            onClick={() => handleApprove(delivery)}
+                            className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition"
+                            title="Approve"
+                          >
+                            <CheckCircle className="w-5 h-5" />
+                          </button>
+                        )}
+                        {canTransition(delivery.status, 'reject') && (
+                          <button
+                            onClick={() => handleReject(delivery)}
+                            className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition"
+                            title="Reject"
+                          >
+                            <XCircle className="w-5 h-5" />
+                          </button>
+                        )}
+                        {availableActions(delivery.status, STATUS_ACTION_KEYS).map(action => {
+                          const ActionIcon = DELIVERY_ACTIONS[action].icon;
+                          return (
                             <button
-                              onClick={() => handleReject(delivery)}
-                              className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition"
-                              title="Reject"
+                              key={action}
+                              onClick={() => runStatusAction(delivery, action)}
+                              className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition"
+                              title={DELIVERY_ACTIONS[action].label}
                             >
-                              <XCircle className="w-5 h-5" />
+                              <ActionIcon className="w-5 h-5" />
                             </button>
-                          </>
-                        )}
+                          );
+                        })}
                       </div>
                     </td>
                   </tr>
@@ -363,7 +535,7 @@ const DeliveryStatus = () => {
               {/* Status */}
               <div>
                 <label className="text-sm font-semibold text-gray-600 block mb-2">Status</label>
-                {getStatusBadge(selectedDelivery.status)}
+                <StatusBadge status={selectedDelivery.status} withIcon />
               </div>
 
               {/* Basic Info */}
@@ -376,6 +548,10 @@ const DeliveryStatus = () => {
                   <label className="text-sm font-semibold text-gray-600 block mb-1">Created At</label>
                   <p className="text-gray-900">{formatDate(selectedDelivery.createdAt)}</p>
                 </div>
+                <div>
+                  <label className="text-sm font-semibold text-gray-600 block mb-1">Schedule</label>
+                  <p className="text-gray-900">{formatSchedule(selectedDelivery)}</p>
+                </div>
               </div>
 
               {/* Description */}
@@ -410,17 +586,88 @@ const DeliveryStatus = () => {
 
               {/* Items */}
               <div>
-                <label className="text-sm font-semibold text-gray-600 block mb-2">Items ({selectedDelivery.items?.length || 0})</label>
+                <label className="text-sm font-semibold text-gray-600 block mb-2">
+                  Items ({selectedDelivery.items?.length || 0}) • {formatLoad(deliveryLoad(selectedDelivery))}
+                </label>
                 <div className="space-y-2">
-                  {selectedDelivery.items?.map((item, index) => (
-                    <div key={index} className="flex justify-between items-center bg-gray-50 p-3 rounded-lg">
-                      <span className="text-gray-900">{item.name}</span>
-                      <span className="text-gray-600 font-semibold">Qty: {item.quantity}</span>
-                    </div>
-                  ))}
+                  {selectedDelivery.items?.map((item, index) => {
+                    const acceptance = selectedDelivery.acceptance?.items?.[index];
+                    return (
+                      <div key={index} className="flex justify-between items-center bg-gray-50 p-3 rounded-lg">
+                        <div>
+                          <span className="text-gray-900">{item.name}</span>
+                          {formatItemSpecs(item) && (
+                            <p className="text-xs text-gray-500">{formatItemSpecs(item)} per unit</p>
+                          )}
+                          {acceptance?.notes && (
+                            <p className="text-xs text-gray-600">Note: {acceptance.notes}</p>
+                          )}
+                        </div>
+                        <div className="text-right">
+                          <span className="text-gray-600 font-semibold">Qty: {formatItemQuantity(item)}</span>
+                          {acceptance && (
+                            <p className="mt-1">
+                              <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${ITEM_OUTCOMES[acceptance.outcome]?.badgeClass || 'bg-gray-100 text-gray-800'}`}>
+                                {ITEM_OUTCOMES[acceptance.outcome]?.label || acceptance.outcome}
+                                {acceptance.outcome !== 'delivered' && ` • ${acceptance.acceptedQuantity} accepted`}
+                              </span>
+                            </p>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
                 </div>
+                {selectedDelivery.acceptance?.partial && (
+                  <p className="text-sm text-yellow-700 mt-2">
+                    Partially delivered. The remaining items were sent out again as a follow-up delivery.
+                  </p>
+                )}
+                {selectedDelivery.followUpOf && (
+                  <p className="text-sm text-gray-600 mt-2">
+                    Follow-up for the undelivered items of an earlier partial delivery.
+                  </p>
+                )}
               </div>
 
+              {/* Completion Location Check */}
+              {(selectedDelivery.status === 'completed' || selectedDelivery.status === 'approved') && (
+                <div>
+                  <label className="text-sm font-semibold text-gray-600 block mb-2">Completion Location</label>
+                  {loadingCompletionCheck ? (
+                    <p className="text-sm text-gray-500">Checking driver location...</p>
+                  ) : completionCheck?.status === 'ok' ? (
+                    <div className="flex items-start gap-3 bg-green-50 p-3 rounded-lg border border-green-200">
+                      <Navigation className="w-5 h-5 text-green-600 mt-0.5" />
+                      <div>
+                        <p className="font-semibold text-green-800">
+                          Driver was {formatDistance(completionCheck.distance)} from the destination
+                        </p>
+                        <p className="text-sm text-green-700">Location logged {formatOffset(completionCheck.timeOffset)}</p>
+                      </div>
+                    </div>
+                  ) : completionCheck?.status === 'far' ? (
+                    <div className="flex items-start gap-3 bg-red-50 p-3 rounded-lg border border-red-200">
+                      <AlertTriangle className="w-5 h-5 text-red-600 mt-0.5" />
+                      <div>
+                        <p className="font-semibold text-red-800">
+                          Completed {formatDistance(completionCheck.distance)} away from the destination
+                        </p>
+                        <p className="text-sm text-red-700">
+                          More than {formatDistance(POD_DISTANCE_THRESHOLD_METERS)} away. Location logged {formatOffset(completionCheck.timeOffset)}.
+                          Review the proof of delivery carefully before approving.
+                        </p>
+                      </div>
+                    </div>
+                  ) : completionCheck ? (
+                    <div className="flex items-start gap-3 bg-yellow-50 p-3 rounded-lg border border-yellow-200">
+                      <AlertTriangle className="w-5 h-5 text-yellow-600 mt-0.5" />
+                      <p className="text-sm text-yellow-800">Location could not be verified: {completionCheck.reason}</p>
+                    </div>
+                  ) : null}
+                </div>
+              )}
+
               {/* Proof of Delivery Images */}
               {(selectedDelivery.status === 'completed' || selectedDelivery.status === 'approved') && (
                 <div className="border-t pt-6">
@@ -515,8 +762,48 @@ const DeliveryStatus = () => {
                 )}
               </div>
 
+              {/* Rejection History */}
+              {getRejections(selectedDelivery).length > 0 && (
+                <div>
+                  <label className="text-sm font-semibold text-gray-600 block mb-2">
+                    Rejections ({getRejections(selectedDelivery).length})
+                  </label>
+                  <div className="space-y-2">
+                    {getRejections(selectedDelivery).map((rejection, index) => (
+                      <div key={index} className="bg-red-50 border border-red-200 p-3 rounded-lg">
+                        <p className="font-semibold text-red-800">{rejection.reasonLabel}</p>
+                        {rejection.note && <p className="text-sm text-red-700">{rejection.note}</p>}
+                        <p className="text-xs text-gray-600 mt-1">
+                          {rejection.rejectedAt
+                            ? toDate(rejection.rejectedAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+                            : 'Date unknown'}
+                          {rejection.rejectedBy && ` • by ${rejection.rejectedBy}`}
+                          {rejection.driverName && ` • driver ${rejection.driverName}`}
+                          {rejection.returnedToDriver && ' • sent back to driver'}
+                        </p>
+                        {rejection.photos?.length > 0 && (
+                          <div className="flex gap-2 mt-2">
+                            {rejection.photos.map(url => (
+                              <img
+                                key={url}
+                                src={url}
+                                alt="Rejection reference"
+                                onClick={() => handleImageClick(url)}
+                                className="w-16 h-16 object-cover rounded border cursor-pointer hover:opacity-80"
+                              />
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <DeliveryTimeline delivery={selectedDelivery} />
+
               {/* Actions */}
-              {selectedDelivery.status === 'completed' && (
+              {canTransition(selectedDelivery.status, 'approve') && (
                 <div className="flex gap-3 pt-4 border-t">
                   <button
                     onClick={() => handleApprove(selectedDelivery)}
@@ -530,7 +817,7 @@ const DeliveryStatus = () => {
                     className="flex-1 flex items-center justify-center gap-2 bg-red-600 text-white px-4 py-3 rounded-lg hover:bg-red-700 transition font-semibold"
                   >
                     <XCircle className="w-5 h-5" />
-                    Reject & Request Re-upload
+                    Reject
                   </button>
                 </div>
               )}
@@ -539,6 +826,45 @@ const DeliveryStatus = () => {
         </div>
       )}
 
+      {/* Approval Modal */}
+      {approvingDelivery && (
+        <ApprovalModal
+          delivery={approvingDelivery}
+          locationWarning={describeLocationWarning(approvalCheck)}
+          onClose={() => setApprovingDelivery(null)}
+          onApproved={handleApproved}
+        />
+      )}
+
+      {/* Rejection Modal */}
+      {rejectingDelivery && (
+        <RejectionModal
+          delivery={rejectingDelivery}
+          driver={rejectingDriver}
+          reasons={rejectionReasons}
+          onClose={() => setRejectingDelivery(null)}
+          onRejected={handleRejected}
+        />
+      )}
+
+      {/* Rejection Reasons Modal */}
+      {showReasonsModal && (
+        <RejectionReasonsModal
+          reasons={rejectionReasons}
+          onSave={saveRejectionReasons}
+          onClose={() => setShowReasonsModal(false)}
+        />
+      )}
+
+      {/* SLA Targets Modal */}
+      {showSlaModal && (
+        <SlaSettingsModal
+          slaHours={slaHours}
+          onSave={saveSlaHours}
+          onClose={() => setShowSlaModal(false)}
+        />
+      )}
+
       {/* Image Zoom Modal */}
       {showImageModal && selectedImage && (
         <div 
@@ -561,6 +887,10 @@ const DeliveryStatus = () => {
           </div>
         </div>
       )}
+
+      {reasonRequest && (
+        <StatusReasonModal request={reasonRequest} onSubmit={submitReason} onClose={cancelReason} />
+      )}
     </div>
   );
 };
@@ -0,0 +1,242 @@
+import React, { useState, useEffect } from 'react';
+import { Calendar, RefreshCw, User, Award, X } from 'lucide-react';
+import { driversAPI, deliveriesAPI, locationsAPI } from '../services/api';
+import { toTrackPoints } from '../utils/locationLogs';
+import { periodRange, lastDays, computeScorecard, rankScorecards, sortByRank, RANKING_METRICS } from '../utils/scorecards';
+
+const PERIOD_PRESETS = [
+  { days: 7, label: 'Last 7 days' },
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+];
+
+const DriverScorecards = () => {
+  const [drivers, setDrivers] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [driverPoints, setDriverPoints] = useState({});
+  const [period, setPeriod] = useState(() => lastDays(7, Date.now()));
+  const [sortMetric, setSortMetric] = useState('completed');
+  const [selectedDriverId, setSelectedDriverId] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [driversRes, deliveriesRes] = await Promise.all([
+        driversAPI.getAll(),
+        deliveriesAPI.getAll()
+      ]);
+      setDrivers(driversRes.data);
+      setDeliveries(deliveriesRes.data);
+
+      const pointsResults = await Promise.all(
+        driversRes.data.map(async (driver) => {
+          try {
+            const locationRes = await locationsAPI.getDriverLocation(driver.id);
+            return { driverId: driver.id, points: toTrackPoints(locationRes.data?.logs) };
+          } catch (error) {
+            console.error(`Error fetching location for driver ${driver.id}:`, error);
+            return { driverId: driver.id, points: [] };
+          }
+        })
+      );
+
+      const pointsMap = {};
+      pointsResults.forEach(result => {
+        pointsMap[result.driverId] = result.points;
+      });
+      setDriverPoints(pointsMap);
+    } catch (error) {
+      console.error('Error fetching scorecard data:', error);
+      alert('Failed to load scorecard data');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const range = periodRange(period.fromDate, period.toDate);
+  const rows = sortByRank(rankScorecards(drivers.map(driver => ({
+    driver,
+    scorecard: computeScorecard(driver, deliveries, driverPoints[driver.id] || [], range),
+  }))), sortMetric);
+  const selectedRow = rows.find(row => row.driver.id === selectedDriverId);
+
+  const formatRank = (rank) => (rank === null ? 'Not ranked' : `#${rank} of ${rows.length}`);
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">Driver Scorecards</h1>
+          <p className="text-gray-600">Delivery performance per driver, ranked across the fleet</p>
+        </div>
+        <div className="flex items-center gap-3">
+          <div className="flex items-center gap-2">
+            <Calendar className="w-4 h-4 text-gray-600" />
+            <input
+              type="date"
+              value={period.fromDate}
+              max={period.toDate}
+              onChange={(e) => e.target.value && setPeriod({ ...period, fromDate: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+            />
+            <span className="text-gray-500">to</span>
+            <input
+              type="date"
+              value={period.toDate}
+              min={period.fromDate}
+              onChange={(e) => e.target.value && setPeriod({ ...period, toDate: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+            />
+          </div>
+          <button
+            onClick={fetchData}
+            className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition"
+          >
+            <RefreshCw className="w-4 h-4" />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <div className="flex gap-2 mb-6">
+        {PERIOD_PRESETS.map(preset => (
+          <button
+            key={preset.days}
+            onClick={() => setPeriod(lastDays(preset.days, Date.now()))}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-full text-gray-700 hover:bg-gray-50"
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      {selectedRow && (
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <div className="flex justify-between items-start mb-4">
+            <div>
+              <h2 className="text-2xl font-bold text-gray-800">{selectedRow.driver.fullname}</h2>
+              <p className="text-gray-600">@{selectedRow.driver.username} • {period.fromDate} to {period.toDate}</p>
+            </div>
+            <button onClick={() => setSelectedDriverId(null)} className="text-gray-400 hover:text-gray-600">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+            {Object.entries(RANKING_METRICS).map(([metric, { label, format }]) => (
+              <div key={metric} className="bg-gray-50 p-4 rounded-lg">
+                <p className="text-sm text-gray-600">{label}</p>
+                <p className="text-2xl font-bold text-gray-800">{format(selectedRow.scorecard[metric])}</p>
+                <p className="text-xs text-gray-500">{formatRank(selectedRow.ranks[metric])}</p>
+              </div>
+            ))}
+          </div>
+
+          <p className="text-sm text-gray-600 mt-4">
+            {selectedRow.scorecard.approved} approved • {selectedRow.scorecard.onTime} of {selectedRow.scorecard.scheduled} scheduled deliveries on time
+          </p>
+
+          <div className="mt-4">
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Rejection Reasons</h3>
+            {selectedRow.scorecard.rejectionReasons.length === 0 ? (
+              <p className="text-sm text-gray-500">No rejections in this period</p>
+            ) : (
+              <div className="space-y-1">
+                {selectedRow.scorecard.rejectionReasons.map(reason => (
+                  <div key={reason.label} className="flex justify-between bg-red-50 px-3 py-2 rounded-lg text-sm">
+                    <span className="text-red-800">{reason.label}</span>
+                    <span className="font-semibold text-red-800">{reason.count}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {loading ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+            <p className="mt-4 text-gray-600">Loading scorecards...</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rank</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Driver</th>
+                  {Object.entries(RANKING_METRICS).map(([metric, { label }]) => (
+                    <th
+                      key={metric}
+                      onClick={() => setSortMetric(metric)}
+                      className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider cursor-pointer ${sortMetric === metric ? 'text-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
+                      title={`Rank by ${label.toLowerCase()}`}
+                    >
+                      {label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {rows.length === 0 ? (
+                  <tr>
+                    <td colSpan={Object.keys(RANKING_METRICS).length + 2} className="px-6 py-8 text-center text-gray-500">
+                      No drivers found
+                    </td>
+                  </tr>
+                ) : (
+                  rows.map(({ driver, scorecard, ranks }) => (
+                    <tr
+                      key={driver.id}
+                      onClick={() => setSelectedDriverId(driver.id)}
+                      className={`cursor-pointer ${selectedDriverId === driver.id ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                    >
+                      <td className="px-6 py-4 text-sm font-semibold text-gray-900">
+                        {ranks[sortMetric] === 1 ? (
+                          <span className="flex items-center gap-1 text-yellow-600">
+                            <Award className="w-4 h-4" />
+                            1
+                          </span>
+                        ) : (
+                          ranks[sortMetric] ?? '-'
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center gap-3">
+                          <div className="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center">
+                            <User className="w-4 h-4 text-blue-600" />
+                          </div>
+                          <div>
+                            <div className="text-sm font-medium text-gray-900">{driver.fullname}</div>
+                            <div className="text-sm text-gray-500">@{driver.username}</div>
+                          </div>
+                        </div>
+                      </td>
+                      {Object.entries(RANKING_METRICS).map(([metric, { format }]) => (
+                        <td
+                          key={metric}
+                          className={`px-6 py-4 text-sm whitespace-nowrap ${sortMetric === metric ? 'font-semibold text-gray-900' : 'text-gray-700'}`}
+                        >
+                          {format(scorecard[metric])}
+                        </td>
+                      ))}
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DriverScorecards;
@@ -0,0 +1,221 @@
+import React, { useState, useEffect } from 'react';
+import { Search, CalendarDays, ChevronLeft, ChevronRight, Edit } from 'lucide-react';
+import { driversAPI, schedulesAPI } from '../services/api';
+import ShiftScheduleModal from '../components/ShiftScheduleModal';
+import { toDateKey } from '../utils/recurrence';
+import { TIME_OFF_TYPES, getDriverSchedule, getShiftForDate, getTimeOff, getAvailability, formatShift } from '../utils/shifts';
+import { useNow } from '../hooks/useNow';
+import { getEmploymentStatus } from '../utils/driverStatus';
+
+const AVAILABILITY_BADGES = {
+  'on-shift': 'bg-green-100 text-green-800',
+  'off-shift': 'bg-gray-100 text-gray-800',
+  'time-off': 'bg-orange-100 text-orange-800',
+  unscheduled: 'bg-yellow-100 text-yellow-800',
+};
+
+// Monday of the week containing `millis`, at midnight
+const startOfWeek = (millis) => {
+  const date = new Date(millis);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date;
+};
+
+const DriverShifts = () => {
+  const [drivers, setDrivers] = useState([]);
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [weekOffset, setWeekOffset] = useState(0);
+  const [editingDriver, setEditingDriver] = useState(null);
+  const now = useNow();
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [driversRes, schedulesRes] = await Promise.all([
+        driversAPI.getAll(),
+        schedulesAPI.getAll()
+      ]);
+      setDrivers(driversRes.data);
+      setSchedules(schedulesRes.data);
+    } catch (error) {
+      console.error('Error fetching schedules:', error);
+      alert('Failed to load schedules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSaveSchedule = async (data) => {
+    await schedulesAPI.update(editingDriver.id, data);
+    fetchData();
+  };
+
+  const weekStart = startOfWeek(now);
+  weekStart.setDate(weekStart.getDate() + weekOffset * 7);
+  const days = Array.from({ length: 7 }, (_, i) => {
+    const date = new Date(weekStart);
+    date.setDate(date.getDate() + i);
+    return date;
+  });
+  const todayKey = toDateKey(new Date(now));
+
+  const formatDay = (date) => {
+    return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  };
+
+  const renderCell = (schedule, date) => {
+    if (!schedule) return <span className="text-gray-300">—</span>;
+    const timeOff = getTimeOff(schedule, toDateKey(date));
+    if (timeOff) {
+      return (
+        <span className="px-2 py-1 text-xs font-semibold rounded bg-orange-100 text-orange-800" title={timeOff.note || undefined}>
+          {TIME_OFF_TYPES[timeOff.type] || 'Time off'}
+        </span>
+      );
+    }
+    const shift = getShiftForDate(schedule, date);
+    return shift
+      ? <span className="text-gray-800">{formatShift(shift)}</span>
+      : <span className="text-gray-400">Off</span>;
+  };
+
+  const filteredDrivers = drivers.filter(driver =>
+    getEmploymentStatus(driver) !== 'terminated' && (
+      driver.fullname?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      driver.username?.toLowerCase().includes(searchTerm.toLowerCase())
+    )
+  );
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800">Driver Shifts</h1>
+          <p className="text-gray-600 mt-1">Working hours, days off and leave</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setWeekOffset(weekOffset - 1)}
+            className="p-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+            title="Previous week"
+          >
+            <ChevronLeft className="w-5 h-5" />
+          </button>
+          <button
+            onClick={() => setWeekOffset(0)}
+            disabled={weekOffset === 0}
+            className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            This Week
+          </button>
+          <button
+            onClick={() => setWeekOffset(weekOffset + 1)}
+            className="p-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+            title="Next week"
+          >
+            <ChevronRight className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4 mb-6">
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+          <input
+            type="text"
+            placeholder="Search drivers..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="p-8 text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Loading schedules...</p>
+        </div>
+      ) : filteredDrivers.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <CalendarDays className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-500">No drivers found</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Driver</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Now</th>
+                {days.map(date => (
+                  <th
+                    key={date.getTime()}
+                    className={`px-4 py-3 text-left text-xs font-medium uppercase ${toDateKey(date) === todayKey ? 'text-blue-600' : 'text-gray-500'}`}
+                  >
+                    {formatDay(date)}
+                  </th>
+                ))}
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {filteredDrivers.map(driver => {
+                const schedule = getDriverSchedule(driver, schedules);
+                const availability = getAvailability(schedule, now);
+                return (
+                  <tr key={driver.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <p className="font-semibold text-gray-900">{driver.fullname}</p>
+                      <p className="text-sm text-gray-500">@{driver.username}</p>
+                    </td>
+                    <td className="px-6 py-4">
+                      <span className={`px-2 py-1 text-xs font-semibold rounded-full whitespace-nowrap ${AVAILABILITY_BADGES[availability.state]}`}>
+                        {availability.label}
+                      </span>
+                    </td>
+                    {days.map(date => (
+                      <td
+                        key={date.getTime()}
+                        className={`px-4 py-4 text-sm whitespace-nowrap ${toDateKey(date) === todayKey ? 'bg-blue-50' : ''}`}
+                      >
+                        {renderCell(schedule, date)}
+                      </td>
+                    ))}
+                    <td className="px-6 py-4">
+                      <button
+                        onClick={() => setEditingDriver(driver)}
+                        className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition"
+                        title="Edit schedule"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {editingDriver && (
+        <ShiftScheduleModal
+          driver={editingDriver}
+          schedule={getDriverSchedule(editingDriver, schedules)}
+          onSave={handleSaveSchedule}
+          onClose={() => setEditingDriver(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default DriverShifts;
@@ -1,23 +1,40 @@
 import React, { useState, useEffect } from 'react';
-import { Search, Plus, Edit, Trash2, Eye, Phone, User, X } from 'lucide-react';
-import { driversAPI } from '../services/api';
+import { Search, Plus, Edit, Eye, Phone, User, X, FileText, AlertTriangle, UserX, UserCheck } from 'lucide-react';
+import { driversAPI, vehiclesAPI } from '../services/api';
+import { getDriverCapacity, formatWeight, formatVolume } from '../utils/load';
+import { getDriverVehicle, getVehicleDriver, formatVehicle } from '../utils/vehicles';
+import { getDocuments, getDocumentLabel, getExpiryState, describeExpiry } from '../utils/driverDocuments';
+import DriverDocumentsModal from '../components/DriverDocumentsModal';
+import DeactivateDriverModal from '../components/DeactivateDriverModal';
+import { EMPLOYMENT_STATUSES, getEmploymentStatus } from '../utils/driverStatus';
+import ExpiryBadge from '../components/ExpiryBadge';
+import { useNow } from '../hooks/useNow';
 
 const Drivers = () => {
   const [drivers, setDrivers] = useState([]);
+  const [vehicles, setVehicles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
+  const [showTerminated, setShowTerminated] = useState(false);
   const [showModal, setShowModal] = useState(false);
   const [modalMode, setModalMode] = useState('add'); // 'add', 'edit', 'view'
   const [selectedDriver, setSelectedDriver] = useState(null);
+  const [documentsDriver, setDocumentsDriver] = useState(null);
+  const [deactivatingDriver, setDeactivatingDriver] = useState(null);
   const [formData, setFormData] = useState({
     fullname: '',
     username: '',
     password: '',
     phone: '',
+    vehicleId: '',
+    vehicleCapacityKg: '',
+    vehicleCapacityM3: '',
   });
+  const now = useNow();
 
   useEffect(() => {
     fetchDrivers();
+    fetchVehicles();
   }, []);
 
   const fetchDrivers = async () => {
@@ -33,6 +50,15 @@ const Drivers = () => {
     }
   };
 
+  const fetchVehicles = async () => {
+    try {
+      const response = await vehiclesAPI.getAll();
+      setVehicles(response.data);
+    } catch (error) {
+      console.error('Error fetching vehicles:', error);
+    }
+  };
+
   const handleAddDriver = () => {
     setModalMode('add');
     setFormData({
@@ -40,6 +66,9 @@ const Drivers = () => {
       username: '',
       password: '',
       phone: '',
+      vehicleId: '',
+      vehicleCapacityKg: '',
+      vehicleCapacityM3: '',
     });
     setShowModal(true);
   };
@@ -52,6 +81,9 @@ const Drivers = () => {
       username: driver.username || '',
       password: '',
       phone: driver.phone || '',
+      vehicleId: driver.vehicleId || '',
+      vehicleCapacityKg: driver.vehicleCapacityKg ?? '',
+      vehicleCapacityM3: driver.vehicleCapacityM3 ?? '',
     });
     setShowModal(true);
   };
@@ -62,16 +94,24 @@ const Drivers = () => {
     setShowModal(true);
   };
 
+  // Capacity fields are numbers, or null when left blank (no limit)
+  const toCapacityData = (data) => ({
+    vehicleCapacityKg: data.vehicleCapacityKg === '' ? null : Number(data.vehicleCapacityKg),
+    vehicleCapacityM3: data.vehicleCapacityM3 === '' ? null : Number(data.vehicleCapacityM3),
+  });
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
       if (modalMode === 'add') {
-        await driversAPI.create(formData);
+        await driversAPI.create({ ...formData, ...toCapacityData(formData) });
         alert('Driver added successfully!');
       } else if (modalMode === 'edit') {
         const updateData = {
           fullname: formData.fullname,
           phone: formData.phone,
+          vehicleId: formData.vehicleId || null,
+          ...toCapacityData(formData),
         };
         if (formData.password) {
           updateData.password = formData.password;
@@ -87,15 +127,19 @@ const Drivers = () => {
     }
   };
 
-  const handleDeleteDriver = async (driver) => {
-    if (window.confirm(`Are you sure you want to delete driver ${driver.fullname}?`)) {
+  const handleReinstateDriver = async (driver) => {
+    if (window.confirm(`Reinstate ${driver.fullname}? They can be assigned deliveries again.`)) {
       try {
-        await driversAPI.delete(driver.id);
-        alert('Driver deleted successfully!');
+        await driversAPI.update(driver.id, {
+          fullname: driver.fullname,
+          phone: driver.phone,
+          employmentStatus: 'active',
+        });
+        alert('Driver reinstated successfully!');
         fetchDrivers();
       } catch (error) {
-        console.error('Error deleting driver:', error);
-        alert(error.response?.data?.message || 'Failed to delete driver');
+        console.error('Error reinstating driver:', error);
+        alert(error.response?.data?.message || 'Failed to reinstate driver');
       }
     }
   };
@@ -105,10 +149,31 @@ const Drivers = () => {
       driver.fullname?.toLowerCase().includes(searchTerm.toLowerCase()) ||
       driver.username?.toLowerCase().includes(searchTerm.toLowerCase()) ||
       driver.phone?.toLowerCase().includes(searchTerm.toLowerCase());
+    const matchesStatus = showTerminated || getEmploymentStatus(driver) !== 'terminated';
     
-    return matchesSearch;
+    return matchesSearch && matchesStatus;
+  });
+
+  const formatCapacity = (driver) => {
+    const { weightKg, volumeM3 } = getDriverCapacity(driver, getDriverVehicle(driver, vehicles));
+    const limits = [weightKg && formatWeight(weightKg), volumeM3 && formatVolume(volumeM3)].filter(Boolean);
+    return limits.length > 0 ? limits.join(' • ') : 'Not set';
+  };
+
+  // Vehicles in service that no other driver is using
+  const selectableVehicles = vehicles.filter(vehicle => {
+    const owner = getVehicleDriver(vehicle, drivers);
+    return vehicle.status !== 'retired' && (!owner || (modalMode === 'edit' && owner.id === selectedDriver?.id));
   });
 
+  // Documents that need attention, most urgent first
+  const getDocumentWarnings = (driver) => {
+    return getDocuments(driver)
+      .map(document => ({ document, expiry: getExpiryState(document, now) }))
+      .filter(({ expiry }) => expiry.state === 'expired' || expiry.state === 'expiring')
+      .sort((a, b) => a.expiry.daysLeft - b.expiry.daysLeft);
+  };
+
   const formatDate = (timestamp) => {
     if (!timestamp) return 'N/A';
     const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp._seconds * 1000);
@@ -153,6 +218,14 @@ const Drivers = () => {
             className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
           />
         </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700 mt-3 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={showTerminated}
+            onChange={(e) => setShowTerminated(e.target.checked)}
+          />
+          Show terminated drivers
+        </label>
       </div>
 
       {/* Drivers Table */}
@@ -169,6 +242,8 @@ const Drivers = () => {
                 <tr>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Driver</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Phone</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Documents</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Created At</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
                 </tr>
@@ -176,60 +251,106 @@ const Drivers = () => {
               <tbody className="bg-white divide-y divide-gray-200">
                 {filteredDrivers.length === 0 ? (
                   <tr>
-                    <td colSpan="4" className="px-6 py-8 text-center text-gray-500">
+                    <td colSpan="6" className="px-6 py-8 text-center text-gray-500">
                       No drivers found
                     </td>
                   </tr>
                 ) : (
-                  filteredDrivers.map((driver) => (
-                    <tr key={driver.id} className="hover:bg-gray-50">
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="flex items-center">
-                          <div className="flex-shrink-0 h-10 w-10 bg-blue-100 rounded-full flex items-center justify-center">
-                            <User className="h-6 w-6 text-blue-600" />
+                  filteredDrivers.map((driver) => {
+                    const warnings = getDocumentWarnings(driver);
+                    const employmentStatus = getEmploymentStatus(driver);
+                    return (
+                      <tr key={driver.id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="flex items-center">
+                            <div className="flex-shrink-0 h-10 w-10 bg-blue-100 rounded-full flex items-center justify-center">
+                              <User className="h-6 w-6 text-blue-600" />
+                            </div>
+                            <div className="ml-4">
+                              <div className="text-sm font-medium text-gray-900">{driver.fullname}</div>
+                              <div className="text-sm text-gray-500">@{driver.username}</div>
+                            </div>
                           </div>
-                          <div className="ml-4">
-                            <div className="text-sm font-medium text-gray-900">{driver.fullname}</div>
-                            <div className="text-sm text-gray-500">@{driver.username}</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="flex items-center text-sm text-gray-900">
+                            <Phone className="w-4 h-4 mr-2 text-gray-400" />
+                            {driver.phone}
                           </div>
-                        </div>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="flex items-center text-sm text-gray-900">
-                          <Phone className="w-4 h-4 mr-2 text-gray-400" />
-                          {driver.phone}
-                        </div>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {formatDate(driver.createdAt)}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                        <div className="flex gap-2">
-                          <button
-                            onClick={() => handleViewDriver(driver)}
-                            className="text-blue-600 hover:text-blue-900"
-                            title="View"
-                          >
-                            <Eye className="w-5 h-5" />
-                          </button>
-                          <button
-                            onClick={() => handleEditDriver(driver)}
-                            className="text-green-600 hover:text-green-900"
-                            title="Edit"
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span
+                            className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${EMPLOYMENT_STATUSES[employmentStatus].badgeClass}`}
+                            title={driver.statusReason || undefined}
                           >
-                            <Edit className="w-5 h-5" />
-                          </button>
-                          <button
-                            onClick={() => handleDeleteDriver(driver)}
-                            className="text-red-600 hover:text-red-900"
-                            title="Delete"
-                          >
-                            <Trash2 className="w-5 h-5" />
-                          </button>
-                        </div>
-                      </td>
-                    </tr>
-                  ))
+                            {EMPLOYMENT_STATUSES[employmentStatus].label}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          {warnings.length > 0 ? (
+                            <div
+                              className={`flex items-center gap-1 font-semibold ${warnings[0].expiry.state === 'expired' ? 'text-red-600' : 'text-yellow-600'}`}
+                              title={warnings.map(({ document, expiry }) => `${getDocumentLabel(document)}: ${describeExpiry(expiry)}`).join('\n')}
+                            >
+                              <AlertTriangle className="w-4 h-4" />
+                              {getDocumentLabel(warnings[0].document)}: {describeExpiry(warnings[0].expiry)}
+                              {warnings.length > 1 && <span className="text-gray-500 font-normal">+{warnings.length - 1} more</span>}
+                            </div>
+                          ) : getDocuments(driver).length > 0 ? (
+                            <span className="text-gray-500">{getDocuments(driver).length} on file</span>
+                          ) : (
+                            <span className="text-gray-400">None</span>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {formatDate(driver.createdAt)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => handleViewDriver(driver)}
+                              className="text-blue-600 hover:text-blue-900"
+                              title="View"
+                            >
+                              <Eye className="w-5 h-5" />
+                            </button>
+                            <button
+                              onClick={() => handleEditDriver(driver)}
+                              className="text-green-600 hover:text-green-900"
+                              title="Edit"
+                            >
+                              <Edit className="w-5 h-5" />
+                            </button>
+                            <button
+                              onClick={() => setDocumentsDriver(driver)}
+                              className="text-purple-600 hover:text-purple-900"
+                              title="Documents"
+                            >
+                              <FileText className="w-5 h-5" />
+                            </button>
+                            {employmentStatus === 'active' && (
+                              <button
+                                onClick={() => setDeactivatingDriver(driver)}
+                                className="text-red-600 hover:text-red-900"
+                                title="Suspend or terminate"
+                              >
+                                <UserX className="w-5 h-5" />
+                              </button>
+                            )}
+                            {employmentStatus === 'suspended' && (
+                              <button
+                                onClick={() => handleReinstateDriver(driver)}
+                                className="text-green-600 hover:text-green-900"
+                                title="Reinstate"
+                              >
+                                <UserCheck className="w-5 h-5" />
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })
                 )}
               </tbody>
             </table>
@@ -265,10 +386,25 @@ const Drivers = () => {
                     <label className="text-sm font-semibold text-gray-600">Phone</label>
                     <p className="text-gray-900">{selectedDriver?.phone}</p>
                   </div>
+                  <div>
+                    <label className="text-sm font-semibold text-gray-600">Status</label>
+                    <p className="text-gray-900">
+                      {EMPLOYMENT_STATUSES[getEmploymentStatus(selectedDriver)].label}
+                      {selectedDriver?.statusReason && <span className="text-gray-500"> • {selectedDriver.statusReason}</span>}
+                    </p>
+                  </div>
                   <div>
                     <label className="text-sm font-semibold text-gray-600">Role</label>
                     <p className="text-gray-900">{selectedDriver?.role}</p>
                   </div>
+                  <div>
+                    <label className="text-sm font-semibold text-gray-600">Vehicle</label>
+                    <p className="text-gray-900">{formatVehicle(getDriverVehicle(selectedDriver, vehicles))}</p>
+                  </div>
+                  <div>
+                    <label className="text-sm font-semibold text-gray-600">Vehicle Capacity</label>
+                    <p className="text-gray-900">{formatCapacity(selectedDriver)}</p>
+                  </div>
                   <div>
                     <label className="text-sm font-semibold text-gray-600">Created At</label>
                     <p className="text-gray-900">{formatDate(selectedDriver?.createdAt)}</p>
@@ -278,6 +414,36 @@ const Drivers = () => {
                     <p className="text-gray-900">{formatDate(selectedDriver?.updatedAt)}</p>
                   </div>
                 </div>
+
+                <h3 className="text-sm font-semibold text-gray-600 mt-6 mb-2">Documents</h3>
+                {getDocuments(selectedDriver).length === 0 ? (
+                  <p className="text-sm text-gray-500">No documents on file</p>
+                ) : (
+                  <div className="space-y-2">
+                    {getDocuments(selectedDriver).map((document, index) => (
+                      <div key={index} className="flex items-center justify-between bg-gray-50 px-3 py-2 rounded-lg text-sm">
+                        <div>
+                          <span className="font-semibold text-gray-800">{getDocumentLabel(document)}</span>
+                          <span className="text-gray-600">
+                            {' '}{document.number}{document.licenceClass && ` • Class ${document.licenceClass}`}
+                            {document.expiryDate && ` • Expires ${document.expiryDate}`}
+                          </span>
+                          {document.fileUrl && (
+                            <a
+                              href={document.fileUrl}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="ml-2 text-blue-600 hover:text-blue-800"
+                            >
+                              View file
+                            </a>
+                          )}
+                        </div>
+                        <ExpiryBadge expiry={getExpiryState(document, now)} />
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
             ) : (
               <form onSubmit={handleSubmit} className="p-6">
@@ -325,6 +491,47 @@ const Drivers = () => {
                       required
                     />
                   </div>
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-2">Vehicle</label>
+                    <select
+                      value={formData.vehicleId}
+                      onChange={(e) => setFormData({...formData, vehicleId: e.target.value})}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">-- No vehicle --</option>
+                      {selectableVehicles.map(vehicle => (
+                        <option key={vehicle.id} value={vehicle.id}>{formatVehicle(vehicle)}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {!formData.vehicleId && (
+                    <>
+                      <div>
+                        <label className="block text-sm font-semibold text-gray-700 mb-2">Own Vehicle Capacity (kg)</label>
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          value={formData.vehicleCapacityKg}
+                          onChange={(e) => setFormData({...formData, vehicleCapacityKg: e.target.value})}
+                          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          placeholder="No limit"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-semibold text-gray-700 mb-2">Own Vehicle Capacity (m³)</label>
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          value={formData.vehicleCapacityM3}
+                          onChange={(e) => setFormData({...formData, vehicleCapacityM3: e.target.value})}
+                          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          placeholder="No limit"
+                        />
+                      </div>
+                    </>
+                  )}
                 </div>
                 <div className="mt-6 flex gap-3 justify-end">
                   <button
@@ -346,6 +553,29 @@ const Drivers = () => {
           </div>
         </div>
       )}
+
+      {deactivatingDriver && (
+        <DeactivateDriverModal
+          driver={deactivatingDriver}
+          drivers={drivers}
+          onClose={() => setDeactivatingDriver(null)}
+          onDeactivated={() => {
+            setDeactivatingDriver(null);
+            fetchDrivers();
+          }}
+        />
+      )}
+
+      {documentsDriver && (
+        <DriverDocumentsModal
+          driver={documentsDriver}
+          onClose={() => setDocumentsDriver(null)}
+          onSaved={() => {
+            setDocumentsDriver(null);
+            fetchDrivers();
+          }}
+        />
+      )}
     </div>
   );
 };
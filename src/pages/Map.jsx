@@ -1,31 +1,64 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap, CircleMarker } from 'react-leaflet';
 import L from 'leaflet';
-import { locationsAPI, driversAPI, deliveriesAPI } from '../services/api';
-import { Navigation, User, Package, Clock, MapPin, RefreshCw, X, AlertCircle, History, Calendar, Eye, EyeOff } from 'lucide-react';
-import 'leaflet/dist/leaflet.css';
-
-// Fix Leaflet default marker icon issue
-delete L.Icon.Default.prototype._getIconUrl;
-L.Icon.Default.mergeOptions({
-  iconRetinaUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon-2x.png',
-  iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon.png',
-  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
-});
-
-// Custom marker icons
+import { locationsAPI, driversAPI, deliveriesAPI, zonesAPI, vehiclesAPI, schedulesAPI } from '../services/api';
+import { getDriverVehicle, formatVehicle } from '../utils/vehicles';
+import { getDriverSchedule, getAvailability } from '../utils/shifts';
+import { createLocationChannel } from '../services/socket';
+import { Navigation, User, Package, Clock, MapPin, RefreshCw, X, AlertCircle, History, Calendar, Eye, EyeOff, Wifi, WifiOff, PlayCircle, Download } from 'lucide-react';
+import { DEFAULT_CENTER, TILE_URL, TILE_ATTRIBUTION } from '../utils/leaflet';
+import { hasCoordinates, interpolateTrack, formatDistance } from '../utils/geo';
+import { toMillis, formatDuration } from '../utils/time';
+import { computeTripStats } from '../utils/tripAnalytics';
+import { filterLocationsByDate, toTrackPoints } from '../utils/locationLogs';
+import { computeZoneEvents, ZONE_CATEGORIES } from '../utils/geofence';
+import { clusterPoints, simplifyTrack, isInViewport } from '../utils/clustering';
+import { estimateEtas } from '../utils/eta';
+import { TRACK_EXPORT_FORMATS, downloadTracks } from '../utils/trackExport';
+import RoutePlayback from '../components/RoutePlayback';
+import ClusterMarker from '../components/ClusterMarker';
+import MapViewport from '../components/MapViewport';
+import { ZoneShapes, ZoneDrawer } from '../components/GeofenceLayer';
+import ZonePanel, { ZoneEventRow } from '../components/ZonePanel';
+import EtaBadge from '../components/EtaBadge';
+import StatusBadge from '../components/StatusBadge';
+import { ACTIVE_STATUSES } from '../utils/deliveryLifecycle';
+import { useNow } from '../hooks/useNow';
+
+// Offline drivers are split by their schedule: off shift is expected, but a
+// driver who should be working and isn't reporting needs a follow-up. Plain
+// 'offline' is for drivers without a schedule.
+const DRIVER_STATUSES = {
+  online: { label: 'Online', textClass: 'text-green-600', badgeClass: 'text-green-600 bg-green-100' },
+  delivering: { label: 'Delivering', textClass: 'text-blue-600', badgeClass: 'text-blue-600 bg-blue-100' },
+  offline: { label: 'Offline', textClass: 'text-gray-600', badgeClass: 'text-gray-600 bg-gray-100' },
+  'offline-off-shift': { label: 'Offline, off shift', textClass: 'text-gray-600', badgeClass: 'text-gray-600 bg-gray-100' },
+  'offline-on-shift': { label: 'Offline, should be working', textClass: 'text-red-600', badgeClass: 'text-red-600 bg-red-100' },
+};
+
+const isOfflineStatus = (status) => status.startsWith('offline');
+
+// Custom marker icons, cached so re-renders don't make Leaflet swap every icon
+const iconCache = {};
+
 const createDriverIcon = (status, isLatest = true) => {
+  const cacheKey = `driver-${status}-${isLatest}`;
+  if (iconCache[cacheKey]) return iconCache[cacheKey];
+
   const colors = {
     online: '#10b981',
     offline: '#6b7280',
+    'offline-off-shift': '#6b7280',
+    'offline-on-shift': '#ef4444',
     delivering: '#3b82f6',
+    playback: '#8b5cf6',
   };
   
   const color = colors[status] || colors.offline;
   const size = isLatest ? 40 : 28;
   const iconSize = isLatest ? 20 : 16;
   
-  return L.divIcon({
+  iconCache[cacheKey] = L.divIcon({
     className: 'custom-driver-marker',
     html: `
       <div style="
@@ -52,10 +85,13 @@ const createDriverIcon = (status, isLatest = true) => {
     iconAnchor: [size/2, size/2],
     popupAnchor: [0, -size/2],
   });
+  return iconCache[cacheKey];
 };
 
 const createDeliveryIcon = () => {
-  return L.divIcon({
+  if (iconCache.delivery) return iconCache.delivery;
+
+  iconCache.delivery = L.divIcon({
     className: 'custom-delivery-marker',
     html: `
       <div style="
@@ -78,6 +114,7 @@ const createDeliveryIcon = () => {
     iconAnchor: [14, 14],
     popupAnchor: [0, -14],
   });
+  return iconCache.delivery;
 };
 
 // Component to recenter map
@@ -95,19 +132,29 @@ const Map = () => {
   const [drivers, setDrivers] = useState([]);
   const [driverLocations, setDriverLocations] = useState({});
   const [deliveries, setDeliveries] = useState([]);
+  const [vehicles, setVehicles] = useState([]);
+  const [schedules, setSchedules] = useState([]);
   const [selectedDriver, setSelectedDriver] = useState(null);
   const [visibleDrivers, setVisibleDrivers] = useState(new Set());
   const [selectedDate, setSelectedDate] = useState('');
   const [loading, setLoading] = useState(true);
   const [autoRefresh, setAutoRefresh] = useState(true);
   const [lastUpdate, setLastUpdate] = useState(new Date());
+  const now = useNow();
   const [showOffline, setShowOffline] = useState(true);
   const [showLocationHistory, setShowLocationHistory] = useState(true);
+  const [socketStatus, setSocketStatus] = useState('disconnected');
+  const [exportFormat, setExportFormat] = useState('gpx');
+  const [playback, setPlayback] = useState(null); // { driverId, time }
+  const [mapView, setMapView] = useState(null); // { zoom, bounds }
+  const [sidebarTab, setSidebarTab] = useState('drivers');
+  const [zones, setZones] = useState([]);
+  const [zoneDraft, setZoneDraft] = useState(null); // { shape, points, center, radius }
+  const [zoneForm, setZoneForm] = useState({ name: '', category: 'customer' });
   const mapRef = useRef(null);
+  const channelRef = useRef(null);
 
-  // Default center (Surabaya, Indonesia)
-  const defaultCenter = [-7.2575, 112.7521];
-  const [mapCenter, setMapCenter] = useState(defaultCenter);
+  const [mapCenter, setMapCenter] = useState(DEFAULT_CENTER);
 
   // Set default date to today
   useEffect(() => {
@@ -115,21 +162,32 @@ const Map = () => {
     setSelectedDate(today);
   }, []);
 
+  // Everything but locations; resolves to the drivers
+  const fetchRecords = useCallback(async () => {
+    const [driversRes, deliveriesRes, vehiclesRes, schedulesRes] = await Promise.all([
+      driversAPI.getAll(),
+      deliveriesAPI.getAll(),
+      vehiclesAPI.getAll().catch(() => ({ data: [] })),
+      // Without schedules offline drivers just show as offline
+      schedulesAPI.getAll().catch(() => ({ data: [] })),
+    ]);
+
+    const driversData = driversRes.data;
+    setDrivers(driversData);
+    setVehicles(vehiclesRes.data);
+    setSchedules(schedulesRes.data);
+    setDeliveries(deliveriesRes.data);
+
+    // Initialize visible drivers to all drivers
+    setVisibleDrivers(prev => (
+      prev.size === 0 ? new Set(driversData.map(d => d.id)) : prev
+    ));
+    return driversData;
+  }, []);
+
   const fetchData = useCallback(async () => {
     try {
-      const [driversRes, deliveriesRes] = await Promise.all([
-        driversAPI.getAll(),
-        deliveriesAPI.getAll()
-      ]);
-
-      const driversData = driversRes.data;
-      setDrivers(driversData);
-      setDeliveries(deliveriesRes.data);
-
-      // Initialize visible drivers to all drivers
-      if (visibleDrivers.size === 0) {
-        setVisibleDrivers(new Set(driversData.map(d => d.id)));
-      }
+      const driversData = await fetchRecords();
 
       // Fetch location history for each driver
       const locationPromises = driversData.map(async (driver) => {
@@ -157,52 +215,70 @@ const Map = () => {
       console.error('Error fetching map data:', error);
       setLoading(false);
     }
-  }, [visibleDrivers.size]);
+  }, [fetchRecords]);
 
   useEffect(() => {
     fetchData();
-    
-    let interval;
-    if (autoRefresh) {
-      interval = setInterval(() => {
-        fetchData();
-      }, 30000); // Update every 30 seconds
+  }, [fetchData]);
+
+  const fetchZones = async () => {
+    try {
+      const response = await zonesAPI.getAll();
+      setZones(response.data);
+    } catch (error) {
+      console.error('Error fetching zones:', error);
     }
+  };
+
+  useEffect(() => {
+    fetchZones();
+  }, []);
+
+  // Realtime location channel, patches driverLocations as updates arrive
+  useEffect(() => {
+    if (!autoRefresh) return;
+
+    const channel = createLocationChannel({
+      onLocation: ({ driverId, ...location }) => {
+        setDriverLocations(prev => ({
+          ...prev,
+          // Logs are ordered newest first
+          [driverId]: [location, ...(prev[driverId] || [])],
+        }));
+        setLastUpdate(new Date());
+      },
+      onStatusChange: setSocketStatus,
+      // Catch up on anything pushed while we were disconnected
+      onReconnect: () => fetchData(),
+    });
+    channelRef.current = channel;
 
     return () => {
-      if (interval) clearInterval(interval);
+      channel.close();
+      channelRef.current = null;
+      setSocketStatus('disconnected');
     };
   }, [autoRefresh, fetchData]);
 
-  const filterLocationsByDate = (logs, date) => {
-    if (!date || !logs) return logs;
-    
-    const selectedDateObj = new Date(date);
-    selectedDateObj.setHours(0, 0, 0, 0);
-    const nextDay = new Date(selectedDateObj);
-    nextDay.setDate(nextDay.getDate() + 1);
-
-    return logs.filter(log => {
-      let logDate;
-      
-      // Handle Firestore Timestamp object
-      if (log.timestamp && log.timestamp._seconds) {
-        logDate = new Date(log.timestamp._seconds * 1000);
-      } 
-      // Handle milliseconds timestamp
-      else if (typeof log.timestamp === 'number') {
-        logDate = new Date(log.timestamp);
-      }
-      // Handle Date string
-      else {
-        logDate = new Date(log.timestamp);
+  useEffect(() => {
+    channelRef.current?.setDriverIds(drivers.map(d => d.id));
+  }, [drivers, socketStatus]);
+
+  // The socket only pushes locations, so drivers and deliveries are always
+  // polled; locations are polled as well while the socket is down
+  useEffect(() => {
+    if (!autoRefresh) return;
+
+    const interval = setInterval(() => {
+      if (socketStatus === 'connected') {
+        fetchRecords().catch(error => console.error('Error refreshing map data:', error));
+      } else {
+        fetchData();
       }
-      
-      const isInRange = logDate >= selectedDateObj && logDate < nextDay;
-      
-      return isInRange;
-    });
-  };
+    }, 30000); // Update every 30 seconds
+
+    return () => clearInterval(interval);
+  }, [autoRefresh, socketStatus, fetchData, fetchRecords]);
 
   const getLatestLocation = (driverId) => {
     const logs = driverLocations[driverId];
@@ -219,39 +295,61 @@ const Map = () => {
     return filterLocationsByDate(logs, selectedDate);
   };
 
+  // The day's logs oldest first, with parsed `time`, for playback and zone checks
+  const getTrackPoints = (driverId) => {
+    return toTrackPoints(getFilteredLocationHistory(driverId));
+  };
+
+  // Tracks of the drivers shown on the map, for the selected date
+  const handleExportTracks = () => {
+    const tracks = drivers
+      .filter(driver => visibleDrivers.has(driver.id))
+      .map(driver => ({
+        driver,
+        points: getTrackPoints(driver.id),
+        deliveryIds: deliveries
+          .filter(delivery => delivery.assignedDriverId === driver.id)
+          .map(delivery => delivery.id),
+      }))
+      .filter(track => track.points.length > 0);
+
+    if (tracks.length === 0) {
+      alert('No location history for the selected drivers on this date');
+      return;
+    }
+
+    downloadTracks(tracks, exportFormat, `driver-tracks-${selectedDate || 'all'}`);
+  };
+
   const getDriverDeliveries = (driverId) => {
     return deliveries.filter(delivery => 
-      delivery.assignedDriverId === driverId && 
-      (delivery.status === 'assigned' || delivery.status === 'completed')
+      delivery.assignedDriverId === driverId && ACTIVE_STATUSES.includes(delivery.status)
     );
   };
 
   const isLocationRecent = (timestamp) => {
     if (!timestamp) return false;
     
-    let locationTime;
-    if (timestamp._seconds) {
-      // Firestore Timestamp
-      locationTime = timestamp._seconds * 1000;
-    } else if (typeof timestamp === 'number') {
-      // Milliseconds
-      locationTime = timestamp;
-    } else {
-      // Date string or object
-      locationTime = new Date(timestamp).getTime();
-    }
-    
+    const locationTime = toMillis(timestamp);
     const now = Date.now();
     const fiveMinutes = 5 * 60 * 1000;
     return (now - locationTime) < fiveMinutes;
   };
 
+  const getOfflineStatus = (driver) => {
+    const schedule = getDriverSchedule(driver, schedules);
+    if (!schedule) return 'offline';
+    return getAvailability(schedule, now).state === 'on-shift'
+      ? 'offline-on-shift'
+      : 'offline-off-shift';
+  };
+
   const getDriverStatus = (driver) => {
     const latestLocation = getLatestLocation(driver.id);
-    if (!latestLocation) return 'offline';
+    if (!latestLocation) return getOfflineStatus(driver);
     
     const isRecent = isLocationRecent(latestLocation.timestamp);
-    if (!isRecent) return 'offline';
+    if (!isRecent) return getOfflineStatus(driver);
     
     const hasActiveDeliveries = deliveries.some(
       delivery => delivery.assignedDriverId === driver.id && delivery.status === 'assigned'
@@ -288,6 +386,61 @@ const Map = () => {
     }
   };
 
+  const handleStartPlayback = (driver) => {
+    const points = getTrackPoints(driver.id);
+    if (points.length < 2) return;
+    setPlayback({ driverId: driver.id, time: points[0].time });
+    setMapCenter([points[0].latitude, points[0].longitude]);
+  };
+
+  const setPlaybackTime = useCallback((updater) => {
+    setPlayback(prev => prev && {
+      ...prev,
+      time: typeof updater === 'function' ? updater(prev.time) : updater,
+    });
+  }, []);
+
+  const handleDateChange = (date) => {
+    setSelectedDate(date);
+    setPlayback(null);
+  };
+
+  const handleStartDraw = (shape) => {
+    setZoneDraft({ shape, points: [], center: null, radius: null });
+    setZoneForm({ name: '', category: 'customer' });
+  };
+
+  const isZoneDraftComplete = zoneDraft && (
+    zoneDraft.shape === 'polygon' ? zoneDraft.points.length >= 3 : !!zoneDraft.radius
+  );
+
+  const handleSaveZone = async () => {
+    if (!zoneForm.name.trim()) {
+      alert('Please enter a zone name');
+      return;
+    }
+    try {
+      await zonesAPI.create({ ...zoneDraft, ...zoneForm, name: zoneForm.name.trim() });
+      setZoneDraft(null);
+      fetchZones();
+    } catch (error) {
+      console.error('Error saving zone:', error);
+      alert(error.response?.data?.message || 'Failed to save zone');
+    }
+  };
+
+  const handleDeleteZone = async (zone) => {
+    if (window.confirm(`Delete zone "${zone.name}"?`)) {
+      try {
+        await zonesAPI.delete(zone.id);
+        fetchZones();
+      } catch (error) {
+        console.error('Error deleting zone:', error);
+        alert('Failed to delete zone');
+      }
+    }
+  };
+
   const handleRefresh = () => {
     fetchData();
   };
@@ -303,19 +456,7 @@ const Map = () => {
   const formatTimestamp = (timestamp) => {
     if (!timestamp) return 'N/A';
     
-    let date;
-    if (timestamp._seconds) {
-      // Firestore Timestamp
-      date = new Date(timestamp._seconds * 1000);
-    } else if (typeof timestamp === 'number') {
-      // Milliseconds
-      date = new Date(timestamp);
-    } else {
-      // Date string or object
-      date = new Date(timestamp);
-    }
-    
-    return date.toLocaleString('en-US', {
+    return new Date(toMillis(timestamp)).toLocaleString('en-US', {
       month: 'short',
       day: 'numeric',
       hour: '2-digit',
@@ -323,29 +464,48 @@ const Map = () => {
     });
   };
 
+  const formatClock = (millis) => {
+    return new Date(millis).toLocaleTimeString('en-US', {
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
   const formatSpeed = (speed) => {
     if (!speed) return '0 km/h';
     return `${Math.round(speed)} km/h`;
   };
 
-  const getStatusColor = (status) => {
+  const getPathColor = (status) => {
     switch (status) {
-      case 'online': return 'text-green-600 bg-green-100';
-      case 'offline': return 'text-gray-600 bg-gray-100';
-      case 'delivering': return 'text-blue-600 bg-blue-100';
-      default: return 'text-gray-600 bg-gray-100';
+      case 'delivering': return '#3b82f6';
+      case 'online': return '#10b981';
+      default: return '#6b7280';
     }
   };
 
-  const driversWithLocation = drivers
-    .map(driver => ({
-      ...driver,
-      latestLocation: getLatestLocation(driver.id),
-      locationHistory: getFilteredLocationHistory(driver.id),
-      status: getDriverStatus(driver),
-      deliveries: getDriverDeliveries(driver.id)
-    }))
-    .filter(driver => driver.latestLocation && (showOffline || driver.status !== 'offline'));
+  const getStatusMeta = (status) => DRIVER_STATUSES[status] || DRIVER_STATUSES.offline;
+
+  const getStatusColor = (status) => getStatusMeta(status).badgeClass;
+
+  const driverRows = drivers.map(driver => ({
+    ...driver,
+    latestLocation: getLatestLocation(driver.id),
+    locationHistory: getFilteredLocationHistory(driver.id),
+    status: getDriverStatus(driver),
+    deliveries: getDriverDeliveries(driver.id),
+    zoneEvents: computeZoneEvents(getTrackPoints(driver.id), zones)
+  }));
+
+  const driversWithLocation = driverRows
+    .filter(driver => driver.latestLocation && (showOffline || !isOfflineStatus(driver.status)));
+
+  // Drivers due on shift who haven't sent any location can't go on the map,
+  // but are listed in the sidebar so they aren't overlooked
+  const sidebarDrivers = [
+    ...driversWithLocation,
+    ...driverRows.filter(driver => !driver.latestLocation && driver.status === 'offline-on-shift'),
+  ];
 
   const visibleDriversWithLocation = driversWithLocation.filter(driver => 
     visibleDrivers.has(driver.id)
@@ -353,9 +513,51 @@ const Map = () => {
   console.log("vis driver:", driversWithLocation)
   console.log("drivers", drivers)
 
-  const onlineCount = driversWithLocation.filter(driver => driver.status !== 'offline').length;
+  const visibleZoneEvents = visibleDriversWithLocation
+    .flatMap(driver => driver.zoneEvents.map(event => ({ ...event, driverName: driver.fullname })))
+    .sort((a, b) => b.time - a.time);
+
+  // Marker clustering needs the current zoom; before the map reports it, draw every marker
+  const clusterVisible = (items) => {
+    const inView = items.filter(item => isInViewport(item, mapView?.bounds));
+    return mapView
+      ? clusterPoints(inView, mapView.zoom)
+      : inView.map(item => ({ latitude: item.latitude, longitude: item.longitude, items: [item] }));
+  };
+
+  const driverClusters = clusterVisible(
+    visibleDriversWithLocation.map(driver => ({
+      latitude: driver.latestLocation.latitude,
+      longitude: driver.latestLocation.longitude,
+      driver,
+    }))
+  );
+
+  const deliveryClusters = clusterVisible(
+    visibleDriversWithLocation.flatMap(driver =>
+      driver.deliveries
+        .map((delivery, idx) => ({ latitude: delivery.latitude, longitude: delivery.longitude, delivery, idx }))
+        // Deliveries created before coordinates were required have no position
+        .filter(item => hasCoordinates(item))
+    )
+  );
+
+  // Estimated from the full logs, not the date filter, as of the latest location update
+  const deliveryEtas = estimateEtas(deliveries, driverLocations, lastUpdate.getTime());
+
+  const selectedTripStats = selectedDriver && computeTripStats(
+    getTrackPoints(selectedDriver.id),
+    deliveries.filter(delivery => delivery.assignedDriverId === selectedDriver.id)
+  );
+
+  const playbackDriver = playback && drivers.find(driver => driver.id === playback.driverId);
+  const playbackPoints = playback ? getTrackPoints(playback.driverId) : [];
+  const playbackPosition = playback ? interpolateTrack(playbackPoints, playback.time) : null;
+
+  const onlineCount = driversWithLocation.filter(driver => !isOfflineStatus(driver.status)).length;
   const deliveringCount = driversWithLocation.filter(driver => driver.status === 'delivering').length;
-  const offlineCount = driversWithLocation.filter(driver => driver.status === 'offline').length;
+  const offlineCount = driversWithLocation.filter(driver => isOfflineStatus(driver.status)).length;
+  const missingCount = driverRows.filter(driver => driver.status === 'offline-on-shift').length;
 
   return (
     <div className="h-screen flex flex-col">
@@ -364,8 +566,21 @@ const Map = () => {
         <div className="flex justify-between items-center mb-3">
           <div>
             <h1 className="text-2xl font-bold text-gray-800">Live Tracking Map</h1>
-            <p className="text-sm text-gray-600">
+            <p className="text-sm text-gray-600 flex items-center gap-2">
               Last updated: {formatTime(lastUpdate)}
+              {autoRefresh && (
+                socketStatus === 'connected' ? (
+                  <span className="flex items-center gap-1 text-green-600 font-semibold">
+                    <Wifi className="w-4 h-4" />
+                    Live
+                  </span>
+                ) : (
+                  <span className="flex items-center gap-1 text-orange-600 font-semibold">
+                    <WifiOff className="w-4 h-4" />
+                    Polling every 30s
+                  </span>
+                )
+              )}
             </p>
           </div>
           <div className="flex items-center gap-4">
@@ -382,6 +597,12 @@ const Map = () => {
                 <div className="w-3 h-3 rounded-full bg-gray-400"></div>
                 <span className="text-gray-700">{offlineCount} Offline</span>
               </div>
+              {missingCount > 0 && (
+                <div className="flex items-center gap-2">
+                  <div className="w-3 h-3 rounded-full bg-red-500"></div>
+                  <span className="text-red-700 font-semibold">{missingCount} Should be working</span>
+                </div>
+              )}
             </div>
             <button
               onClick={handleRefresh}
@@ -400,7 +621,7 @@ const Map = () => {
             <input
               type="date"
               value={selectedDate}
-              onChange={(e) => setSelectedDate(e.target.value)}
+              onChange={(e) => handleDateChange(e.target.value)}
               className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
             />
           </div>
@@ -435,9 +656,29 @@ const Map = () => {
             Auto-refresh
           </label>
 
+          <div className="flex items-center gap-2 ml-auto">
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              className="px-2 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {Object.entries(TRACK_EXPORT_FORMATS).map(([value, format]) => (
+                <option key={value} value={value}>{format.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleExportTracks}
+              className="flex items-center gap-2 px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition text-sm font-semibold"
+              title="Download the tracks of the drivers shown on the map"
+            >
+              <Download className="w-4 h-4" />
+              Export Tracks
+            </button>
+          </div>
+
           <button
             onClick={toggleAllDrivers}
-            className="ml-auto text-sm text-blue-600 hover:text-blue-800 font-semibold"
+            className="text-sm text-blue-600 hover:text-blue-800 font-semibold"
           >
             {visibleDrivers.size === drivers.length ? 'Hide All' : 'Show All'}
           </button>
@@ -448,17 +689,40 @@ const Map = () => {
         {/* Sidebar */}
         <div className="w-80 bg-white shadow-lg overflow-y-auto">
           <div className="p-4 border-b">
-            <h2 className="font-bold text-gray-800">
-              Drivers ({visibleDriversWithLocation.length}/{driversWithLocation.length} visible)
-            </h2>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setSidebarTab('drivers')}
+                className={`flex-1 px-3 py-1.5 rounded-lg text-sm font-semibold transition ${
+                  sidebarTab === 'drivers' ? 'bg-blue-50 text-blue-600' : 'text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                Drivers ({visibleDriversWithLocation.length}/{sidebarDrivers.length})
+              </button>
+              <button
+                onClick={() => setSidebarTab('zones')}
+                className={`flex-1 px-3 py-1.5 rounded-lg text-sm font-semibold transition ${
+                  sidebarTab === 'zones' ? 'bg-blue-50 text-blue-600' : 'text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                Zones ({zones.length})
+              </button>
+            </div>
           </div>
           
-          {loading ? (
+          {sidebarTab === 'zones' ? (
+            <ZonePanel
+              zones={zones}
+              events={visibleZoneEvents}
+              drawing={!!zoneDraft}
+              onStartDraw={handleStartDraw}
+              onDeleteZone={handleDeleteZone}
+            />
+          ) : loading ? (
             <div className="p-8 text-center">
               <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
               <p className="mt-4 text-gray-600">Loading...</p>
             </div>
-          ) : driversWithLocation.length === 0 ? (
+          ) : sidebarDrivers.length === 0 ? (
             <div className="p-8 text-center text-gray-500">
               <AlertCircle className="w-12 h-12 mx-auto mb-2 text-gray-400" />
               <p className="font-semibold">No drivers to display</p>
@@ -469,9 +733,9 @@ const Map = () => {
               </p>
             </div>
           ) : (
-            driversWithLocation.map((driver) => {
+            sidebarDrivers.map((driver) => {
               const isVisible = visibleDrivers.has(driver.id);
-              const isRecent = isLocationRecent(driver.latestLocation.timestamp);
+              const isRecent = isLocationRecent(driver.latestLocation?.timestamp);
               
               return (
                 <div
@@ -495,15 +759,17 @@ const Map = () => {
                     </div>
                     <div className="flex items-center gap-2">
                       <span className={`px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(driver.status)}`}>
-                        {driver.status}
+                        {getStatusMeta(driver.status).label}
                       </span>
-                      <button
-                        onClick={() => toggleDriverVisibility(driver.id)}
-                        className={`p-1 rounded ${isVisible ? 'text-blue-600 bg-blue-100' : 'text-gray-400 bg-gray-100'} hover:opacity-80 transition`}
-                        title={isVisible ? 'Hide on map' : 'Show on map'}
-                      >
-                        {isVisible ? <Eye className="w-4 h-4" /> : <EyeOff className="w-4 h-4" />}
-                      </button>
+                      {driver.latestLocation && (
+                        <button
+                          onClick={() => toggleDriverVisibility(driver.id)}
+                          className={`p-1 rounded ${isVisible ? 'text-blue-600 bg-blue-100' : 'text-gray-400 bg-gray-100'} hover:opacity-80 transition`}
+                          title={isVisible ? 'Hide on map' : 'Show on map'}
+                        >
+                          {isVisible ? <Eye className="w-4 h-4" /> : <EyeOff className="w-4 h-4" />}
+                        </button>
+                      )}
                     </div>
                   </div>
 
@@ -512,7 +778,7 @@ const Map = () => {
                       <History className="w-3 h-3" />
                       <span>{driver.locationHistory.length} points today</span>
                     </div>
-                    {driver.latestLocation.speed !== undefined && (
+                    {driver.latestLocation?.speed !== undefined && (
                       <div className="flex items-center gap-2">
                         <Navigation className="w-3 h-3" />
                         <span>{formatSpeed(driver.latestLocation.speed)}</span>
@@ -520,10 +786,14 @@ const Map = () => {
                     )}
                     <div className="flex items-center gap-2">
                       <Clock className="w-3 h-3" />
-                      <span className={!isRecent ? 'text-orange-600 font-semibold' : ''}>
-                        {formatTimestamp(driver.latestLocation.timestamp)}
-                        {!isRecent && ' (old)'}
-                      </span>
+                      {driver.latestLocation ? (
+                        <span className={!isRecent ? 'text-orange-600 font-semibold' : ''}>
+                          {formatTimestamp(driver.latestLocation.timestamp)}
+                          {!isRecent && ' (old)'}
+                        </span>
+                      ) : (
+                        <span className="text-red-700 font-semibold">No location received</span>
+                      )}
                     </div>
                     {driver.deliveries.length > 0 && (
                       <div className="flex items-center gap-2">
@@ -561,39 +831,37 @@ const Map = () => {
               zoom={13}
               style={{ height: '100%', width: '100%' }}
               ref={mapRef}
+              preferCanvas
             >
-              <TileLayer
-                attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-                url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-              />
+              <TileLayer attribution={TILE_ATTRIBUTION} url={TILE_URL} />
               <RecenterMap center={mapCenter} />
+              <MapViewport onChange={setMapView} />
 
-              {/* Driver Location History and Markers */}
-              {visibleDriversWithLocation.map((driver) => {
+              <ZoneShapes zones={zones} />
+              {zoneDraft && <ZoneDrawer draft={zoneDraft} onDraftChange={setZoneDraft} />}
+
+              {/* Driver history trails; dots are thinned for the zoom level and culled to the viewport */}
+              {showLocationHistory && visibleDriversWithLocation.map((driver) => {
                 const logs = driver.locationHistory;
-                
-                // Create polyline connecting all location points
-                const pathPoints = logs.map(log => [log.latitude, log.longitude]);
+                if (logs.length < 2) return null;
 
-                // Colors based on driver status
-                const pathColor = driver.status === 'delivering' ? '#3b82f6' : driver.status === 'online' ? '#10b981' : '#6b7280';
+                const pathColor = getPathColor(driver.status);
+                const trailDots = (mapView ? simplifyTrack(logs, mapView.zoom) : logs)
+                  .slice(1)
+                  .filter(log => isInViewport(log, mapView?.bounds));
 
                 return (
                   <React.Fragment key={driver.id}>
-                    {/* Path line connecting all locations - THICKER AND MORE VISIBLE */}
-                    {showLocationHistory && logs.length > 1 && (
-                      <Polyline
-                        positions={pathPoints}
-                        color={pathColor}
-                        weight={4}
-                        opacity={0.8}
-                      />
-                    )}
+                    <Polyline
+                      positions={logs.map(log => [log.latitude, log.longitude])}
+                      color={pathColor}
+                      weight={4}
+                      opacity={0.8}
+                    />
 
-                    {/* Show all location points as larger dots */}
-                    {showLocationHistory && logs.slice(1).map((log, index) => (
+                    {trailDots.map((log, index) => (
                       <CircleMarker
-                        key={`${driver.id}-${index}`}
+                        key={`${driver.id}-${toMillis(log.timestamp) ?? index}`}
                         center={[log.latitude, log.longitude]}
                         radius={5}
                         fillColor={pathColor}
@@ -610,78 +878,193 @@ const Map = () => {
                         </Popup>
                       </CircleMarker>
                     ))}
+                  </React.Fragment>
+                );
+              })}
 
-                    {/* Latest location (larger marker) */}
-                    <Marker
-                      position={[driver.latestLocation.latitude, driver.latestLocation.longitude]}
-                      icon={createDriverIcon(driver.status, true)}
-                    >
-                      <Popup>
-                        <div className="p-2 min-w-[200px]">
-                          <h3 className="font-bold text-gray-800 mb-2">{driver.fullname}</h3>
-                          <div className="space-y-1 text-sm">
-                            <p className="text-gray-600">Status: <span className={`font-semibold ${driver.status === 'online' ? 'text-green-600' : driver.status === 'delivering' ? 'text-blue-600' : 'text-gray-600'}`}>{driver.status}</span></p>
-                            {driver.latestLocation.speed !== undefined && (
-                              <p className="text-gray-600">Speed: {formatSpeed(driver.latestLocation.speed)}</p>
-                            )}
-                            <p className="text-gray-600">Phone: {driver.phone}</p>
-                            <p className="text-gray-600 text-xs">Updated: {formatTimestamp(driver.latestLocation.timestamp)}</p>
-                            <p className="text-gray-600 text-xs">Points today: {logs.length}</p>
-                            {driver.deliveries.length > 0 && (
-                              <div className="mt-2 pt-2 border-t">
-                                <p className="font-semibold text-gray-700 mb-1">Active Deliveries:</p>
-                                {driver.deliveries.map((delivery, idx) => (
-                                  <p key={delivery.id} className="text-xs text-gray-600">
-                                    {idx + 1}. {delivery.title}
-                                  </p>
-                                ))}
-                              </div>
-                            )}
-                          </div>
-                        </div>
-                      </Popup>
-                    </Marker>
-
-                    {/* Delivery Point Markers */}
-                    {driver.deliveries.map((delivery, idx) => {
-                      const offset = Math.random() * 0.02;
-                      const deliveryPos = [
-                        driver.latestLocation.latitude + offset,
-                        driver.latestLocation.longitude + offset
-                      ];
-
-                      return (
-                        <Marker
-                          key={delivery.id}
-                          position={deliveryPos}
-                          icon={createDeliveryIcon()}
-                        >
-                          <Popup>
-                            <div className="p-2 min-w-[200px]">
-                              <div className="flex items-center gap-2 mb-2">
-                                <span className="bg-blue-600 text-white text-xs font-bold px-2 py-1 rounded">
-                                  #{idx + 1}
-                                </span>
-                                <h3 className="font-bold text-gray-800">{delivery.title}</h3>
-                              </div>
-                              <div className="space-y-1 text-sm">
-                                <p className="text-gray-600 flex items-start gap-1">
-                                  <MapPin className="w-4 h-4 mt-0.5 flex-shrink-0" />
-                                  <span>{delivery.destination}</span>
+              {/* Latest driver locations */}
+              {driverClusters.map((cluster) => {
+                if (cluster.items.length > 1) {
+                  return (
+                    <ClusterMarker
+                      key={`drivers-${cluster.items[0].driver.id}`}
+                      cluster={cluster}
+                      color="#3b82f6"
+                      label="drivers"
+                    />
+                  );
+                }
+
+                const { driver } = cluster.items[0];
+                return (
+                  <Marker
+                    key={driver.id}
+                    position={[driver.latestLocation.latitude, driver.latestLocation.longitude]}
+                    icon={createDriverIcon(driver.status, true)}
+                  >
+                    <Popup>
+                      <div className="p-2 min-w-[200px]">
+                        <h3 className="font-bold text-gray-800 mb-2">{driver.fullname}</h3>
+                        <div className="space-y-1 text-sm">
+                          <p className="text-gray-600">Status: <span className={`font-semibold ${getStatusMeta(driver.status).textClass}`}>{getStatusMeta(driver.status).label}</span></p>
+                          {driver.latestLocation.speed !== undefined && (
+                            <p className="text-gray-600">Speed: {formatSpeed(driver.latestLocation.speed)}</p>
+                          )}
+                          <p className="text-gray-600">Phone: {driver.phone}</p>
+                          <p className="text-gray-600 text-xs">Updated: {formatTimestamp(driver.latestLocation.timestamp)}</p>
+                          <p className="text-gray-600 text-xs">Points today: {driver.locationHistory.length}</p>
+                          {driver.deliveries.length > 0 && (
+                            <div className="mt-2 pt-2 border-t">
+                              <p className="font-semibold text-gray-700 mb-1">Active Deliveries:</p>
+                              {driver.deliveries.map((delivery, idx) => (
+                                <p key={delivery.id} className="text-xs text-gray-600">
+                                  {idx + 1}. {delivery.title}
                                 </p>
-                                <p className="text-gray-600">Items: {delivery.items?.length || 0}</p>
-                                <p className="text-gray-600">Status: <span className="font-semibold capitalize">{delivery.status}</span></p>
-                              </div>
+                              ))}
                             </div>
-                          </Popup>
-                        </Marker>
-                      );
-                    })}
-                  </React.Fragment>
+                          )}
+                          {driver.zoneEvents.length > 0 && (
+                            <div className="mt-2 pt-2 border-t space-y-1">
+                              <p className="font-semibold text-gray-700 mb-1">Zone Events:</p>
+                              {driver.zoneEvents.slice(-5).reverse().map((event, idx) => (
+                                <ZoneEventRow key={idx} event={event} />
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                    </Popup>
+                  </Marker>
+                );
+              })}
+
+              {/* Delivery Point Markers */}
+              {deliveryClusters.map((cluster) => {
+                if (cluster.items.length > 1) {
+                  return (
+                    <ClusterMarker
+                      key={`deliveries-${cluster.items[0].delivery.id}`}
+                      cluster={cluster}
+                      color="#f59e0b"
+                      label="deliveries"
+                    />
+                  );
+                }
+
+                const { delivery, idx } = cluster.items[0];
+                return (
+                  <Marker
+                    key={delivery.id}
+                    position={[delivery.latitude, delivery.longitude]}
+                    icon={createDeliveryIcon()}
+                  >
+                    <Popup>
+                      <div className="p-2 min-w-[200px]">
+                        <div className="flex items-center gap-2 mb-2">
+                          <span className="bg-blue-600 text-white text-xs font-bold px-2 py-1 rounded">
+                            #{idx + 1}
+                          </span>
+                          <h3 className="font-bold text-gray-800">{delivery.title}</h3>
+                        </div>
+                        <div className="space-y-1 text-sm">
+                          <p className="text-gray-600 flex items-start gap-1">
+                            <MapPin className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                            <span>{delivery.destination}</span>
+                          </p>
+                          <p className="text-gray-600">Items: {delivery.items?.length || 0}</p>
+                          <p className="text-gray-600">Status: <StatusBadge status={delivery.status} /></p>
+                          <EtaBadge eta={deliveryEtas[delivery.id]} />
+                        </div>
+                      </div>
+                    </Popup>
+                  </Marker>
                 );
               })}
+
+              {/* Route playback marker and the distance covered so far */}
+              {playbackPosition && (
+                <>
+                  <Polyline
+                    positions={[
+                      ...playbackPoints
+                        .slice(0, playbackPosition.index + 1)
+                        .map(point => [point.latitude, point.longitude]),
+                      [playbackPosition.latitude, playbackPosition.longitude],
+                    ]}
+                    color="#8b5cf6"
+                    weight={6}
+                    opacity={0.9}
+                  />
+                  <Marker
+                    position={[playbackPosition.latitude, playbackPosition.longitude]}
+                    icon={createDriverIcon('playback', true)}
+                    zIndexOffset={1000}
+                  />
+                </>
+              )}
             </MapContainer>
           )}
+
+          {zoneDraft && (
+            <div className="absolute top-4 right-4 z-[1000] bg-white rounded-lg shadow-xl p-4 w-72">
+              <h3 className="font-bold text-gray-800 mb-1">
+                New {zoneDraft.shape === 'polygon' ? 'Polygon' : 'Circle'} Zone
+              </h3>
+              <p className="text-xs text-gray-600 mb-3">
+                {zoneDraft.shape === 'polygon'
+                  ? `Click the map to add corners (${zoneDraft.points.length} placed, at least 3)`
+                  : !zoneDraft.center
+                    ? 'Click the map to place the center'
+                    : 'Click again to set the radius'}
+              </p>
+              <div className="space-y-2 mb-3">
+                <input
+                  type="text"
+                  placeholder="Zone name"
+                  value={zoneForm.name}
+                  onChange={(e) => setZoneForm({...zoneForm, name: e.target.value})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                />
+                <select
+                  value={zoneForm.category}
+                  onChange={(e) => setZoneForm({...zoneForm, category: e.target.value})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                >
+                  {Object.entries(ZONE_CATEGORIES).map(([value, category]) => (
+                    <option key={value} value={value}>{category.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex gap-2 justify-end">
+                <button
+                  onClick={() => setZoneDraft(null)}
+                  className="px-3 py-1.5 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 text-sm"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveZone}
+                  disabled={!isZoneDraftComplete}
+                  className="px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm disabled:opacity-50"
+                >
+                  Save Zone
+                </button>
+              </div>
+            </div>
+          )}
+
+          {playbackPosition && playbackPoints.length > 1 && (
+            <div className="absolute top-4 left-1/2 transform -translate-x-1/2 z-[1000]">
+              <RoutePlayback
+                driverName={playbackDriver?.fullname}
+                points={playbackPoints}
+                time={playback.time}
+                currentIndex={playbackPosition.index}
+                onTimeChange={setPlaybackTime}
+                onClose={() => setPlayback(null)}
+              />
+            </div>
+          )}
         </div>
       </div>
 
@@ -696,6 +1079,7 @@ const Map = () => {
               <div>
                 <h3 className="font-bold text-gray-800">{selectedDriver.fullname}</h3>
                 <p className="text-sm text-gray-600">{selectedDriver.phone}</p>
+                <p className="text-xs text-gray-500">{formatVehicle(getDriverVehicle(selectedDriver, vehicles))}</p>
               </div>
             </div>
             <button
@@ -709,8 +1093,8 @@ const Map = () => {
           <div className="grid grid-cols-2 gap-3 text-sm">
             <div className="bg-gray-50 p-2 rounded">
               <p className="text-gray-600 text-xs">Status</p>
-              <p className={`font-semibold capitalize ${selectedDriver.status === 'online' ? 'text-green-600' : selectedDriver.status === 'delivering' ? 'text-blue-600' : 'text-gray-600'}`}>
-                {selectedDriver.status}
+              <p className={`font-semibold ${getStatusMeta(selectedDriver.status).textClass}`}>
+                {getStatusMeta(selectedDriver.status).label}
               </p>
             </div>
             <div className="bg-gray-50 p-2 rounded">
@@ -731,7 +1115,46 @@ const Map = () => {
                 {formatTimestamp(getLatestLocation(selectedDriver.id)?.timestamp)}
               </p>
             </div>
+            <div className="bg-gray-50 p-2 rounded">
+              <p className="text-gray-600 text-xs">Distance Driven</p>
+              <p className="font-semibold text-gray-800">{formatDistance(selectedTripStats.distance)}</p>
+            </div>
+            <div className="bg-gray-50 p-2 rounded">
+              <p className="text-gray-600 text-xs">Moving / Idle</p>
+              <p className="font-semibold text-gray-800">
+                {formatDuration(selectedTripStats.movingTime)} / {formatDuration(selectedTripStats.idleTime)}
+              </p>
+            </div>
           </div>
+
+          {selectedTripStats.stops.length > 0 && (
+            <div className="mt-3">
+              <p className="text-gray-600 text-xs font-semibold mb-1">Stops ({selectedTripStats.stopCount})</p>
+              <div className="space-y-1 max-h-32 overflow-y-auto">
+                {selectedTripStats.stops.map((stop) => (
+                  <div key={stop.start} className="flex justify-between gap-2 text-xs bg-gray-50 px-2 py-1 rounded">
+                    <span className="text-gray-800">
+                      {formatClock(stop.start)} • {formatDuration(stop.duration)}
+                    </span>
+                    <span className="text-gray-600 truncate">
+                      {stop.nearestDelivery
+                        ? `${stop.nearestDelivery.delivery.title} (${formatDistance(stop.nearestDelivery.distance)})`
+                        : 'No delivery nearby'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <button
+            onClick={() => handleStartPlayback(selectedDriver)}
+            disabled={getTrackPoints(selectedDriver.id).length < 2}
+            className="w-full mt-3 flex items-center justify-center gap-2 px-3 py-2 bg-purple-50 text-purple-600 rounded-lg hover:bg-purple-100 transition text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <PlayCircle className="w-4 h-4" />
+            {playback?.driverId === selectedDriver.id ? 'Restart Playback' : 'Play Route'}
+          </button>
         </div>
       )}
     </div>
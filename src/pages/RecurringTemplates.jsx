@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from 'react';
+import { Repeat, Edit, Pause, Play, Square, RefreshCw, MapPin, User } from 'lucide-react';
+import { templatesAPI, driversAPI } from '../services/api';
+import TemplateFormModal from '../components/TemplateFormModal';
+import PriorityBadge from '../components/PriorityBadge';
+import { describeRecurrence, upcomingDates, toDateKey, GENERATION_HORIZON_DAYS } from '../utils/recurrence';
+import { generateTemplateDeliveries } from '../utils/templateDeliveries';
+import { useNow } from '../hooks/useNow';
+
+const TEMPLATE_STATUSES = {
+  active: { label: 'Active', badgeClass: 'bg-green-100 text-green-800' },
+  paused: { label: 'Paused', badgeClass: 'bg-yellow-100 text-yellow-800' },
+  ended: { label: 'Ended', badgeClass: 'bg-gray-100 text-gray-800' },
+};
+
+const RecurringTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [drivers, setDrivers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [generating, setGenerating] = useState(false);
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const now = useNow();
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [templatesRes, driversRes] = await Promise.all([
+        templatesAPI.getAll(),
+        driversAPI.getAll()
+      ]);
+      setTemplates(templatesRes.data);
+      setDrivers(driversRes.data);
+    } catch (error) {
+      console.error('Error fetching templates:', error);
+      alert('Failed to load templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const generate = async (activeTemplates) => {
+    setGenerating(true);
+    try {
+      const { created, failed } = await generateTemplateDeliveries(activeTemplates, drivers);
+      alert(
+        created === 0 && failed === 0
+          ? `All deliveries for the next ${GENERATION_HORIZON_DAYS} days already exist`
+          : `Created ${created} deliveries${failed > 0 ? `, ${failed} failed` : ''}`
+      );
+      fetchData();
+    } catch (error) {
+      console.error('Error generating deliveries:', error);
+      alert('Failed to generate deliveries');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleSaveTemplate = async (data) => {
+    await templatesAPI.update(editingTemplate.id, { ...editingTemplate, ...data });
+    setEditingTemplate(null);
+    fetchData();
+  };
+
+  const handleToggleActive = async (template) => {
+    const status = template.status === 'active' ? 'paused' : 'active';
+    try {
+      await templatesAPI.update(template.id, { ...template, status });
+      fetchData();
+    } catch (error) {
+      console.error('Error updating template:', error);
+      alert(error.response?.data?.message || 'Failed to update template');
+    }
+  };
+
+  const handleEndTemplate = async (template) => {
+    if (!window.confirm(`End the recurrence "${template.title}"? No further deliveries will be generated. Deliveries already created are kept.`)) {
+      return;
+    }
+    try {
+      await templatesAPI.update(template.id, { ...template, status: 'ended', endDate: toDateKey(new Date()) });
+      fetchData();
+    } catch (error) {
+      console.error('Error ending template:', error);
+      alert(error.response?.data?.message || 'Failed to end template');
+    }
+  };
+
+  const nextOccurrence = (template) => {
+    if (template.status !== 'active') return null;
+    return upcomingDates(template, toDateKey(new Date(now)), 31)[0] || null;
+  };
+
+  const formatDay = (dateKey) => {
+    return new Date(`${dateKey}T00:00`).toLocaleDateString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const activeTemplates = templates.filter(template => template.status === 'active');
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800">Recurring Deliveries</h1>
+          <p className="text-gray-600 mt-1">Templates generate pending deliveries {GENERATION_HORIZON_DAYS} days ahead</p>
+        </div>
+        <button
+          onClick={() => generate(activeTemplates)}
+          disabled={generating || activeTemplates.length === 0}
+          className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+        >
+          <RefreshCw className={`w-5 h-5 ${generating ? 'animate-spin' : ''}`} />
+          {generating ? 'Generating...' : 'Generate Upcoming'}
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="p-8 text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Loading templates...</p>
+        </div>
+      ) : templates.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <Repeat className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-500">No recurring deliveries yet</p>
+          <p className="text-sm text-gray-400 mt-1">Use "Save as Template" on a delivery point to create one</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Template</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Repeats</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Default Driver</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Next</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {templates.map(template => {
+                const status = TEMPLATE_STATUSES[template.status] || TEMPLATE_STATUSES.ended;
+                const next = nextOccurrence(template);
+                return (
+                  <tr key={template.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <div className="flex items-center gap-2">
+                        <span className="font-semibold text-gray-900">{template.title}</span>
+                        <PriorityBadge delivery={template} />
+                      </div>
+                      <div className="flex items-center gap-1 text-sm text-gray-500 mt-1">
+                        <MapPin className="w-3 h-3 flex-shrink-0" />
+                        {template.destination}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      <div>{describeRecurrence(template)}</div>
+                      <div className="text-xs text-gray-500">
+                        {template.startDate}{template.endDate ? ` to ${template.endDate}` : ' onwards'}
+                        {template.windowStart && ` • ${template.windowStart}–${template.windowEnd || ''}`}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {template.defaultDriverName ? (
+                        <span className="flex items-center gap-1">
+                          <User className="w-4 h-4" />
+                          {template.defaultDriverName}
+                        </span>
+                      ) : (
+                        <span className="text-gray-400">Unassigned</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {next ? formatDay(next) : '-'}
+                    </td>
+                    <td className="px-6 py-4">
+                      <span className={`px-2 py-1 text-xs font-semibold rounded-full ${status.badgeClass}`}>
+                        {status.label}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4">
+                      {template.status !== 'ended' && (
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => setEditingTemplate(template)}
+                            className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition"
+                            title="Edit"
+                          >
+                            <Edit className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleToggleActive(template)}
+                            className="p-2 text-yellow-600 hover:bg-yellow-50 rounded-lg transition"
+                            title={template.status === 'active' ? 'Pause' : 'Resume'}
+                          >
+                            {template.status === 'active' ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                          </button>
+                          <button
+                            onClick={() => handleEndTemplate(template)}
+                            className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition"
+                            title="End recurrence"
+                          >
+                            <Square className="w-4 h-4" />
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {editingTemplate && (
+        <TemplateFormModal
+          template={editingTemplate}
+          drivers={drivers}
+          heading="Edit Recurring Delivery"
+          onSave={handleSaveTemplate}
+          onClose={() => setEditingTemplate(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default RecurringTemplates;
@@ -0,0 +1,215 @@
+import React, { useState, useEffect } from 'react';
+import { Calendar, ChevronDown, ChevronRight, User, MapPin, RefreshCw } from 'lucide-react';
+import { driversAPI, deliveriesAPI, locationsAPI } from '../services/api';
+import { filterLocationsByDate, toTrackPoints } from '../utils/locationLogs';
+import { computeTripStats } from '../utils/tripAnalytics';
+import { formatDistance } from '../utils/geo';
+import { formatDuration } from '../utils/time';
+
+const TripAnalytics = () => {
+  const [drivers, setDrivers] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [driverLocations, setDriverLocations] = useState({});
+  const [selectedDate, setSelectedDate] = useState(() => new Date().toISOString().split('T')[0]);
+  const [expandedDriverId, setExpandedDriverId] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [driversRes, deliveriesRes] = await Promise.all([
+        driversAPI.getAll(),
+        deliveriesAPI.getAll()
+      ]);
+      setDrivers(driversRes.data);
+      setDeliveries(deliveriesRes.data);
+
+      const locationsResults = await Promise.all(
+        driversRes.data.map(async (driver) => {
+          try {
+            const locationRes = await locationsAPI.getDriverLocation(driver.id);
+            return { driverId: driver.id, logs: locationRes.data?.logs || [] };
+          } catch (error) {
+            console.error(`Error fetching location for driver ${driver.id}:`, error);
+            return { driverId: driver.id, logs: [] };
+          }
+        })
+      );
+
+      const locationsMap = {};
+      locationsResults.forEach(result => {
+        locationsMap[result.driverId] = result.logs;
+      });
+      setDriverLocations(locationsMap);
+    } catch (error) {
+      console.error('Error fetching trip data:', error);
+      alert('Failed to load trip data');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatClock = (millis) => {
+    return new Date(millis).toLocaleTimeString('en-US', {
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const rows = drivers
+    .map(driver => {
+      const points = toTrackPoints(filterLocationsByDate(driverLocations[driver.id] || [], selectedDate));
+      const driverDeliveries = deliveries.filter(d => d.assignedDriverId === driver.id);
+      return { driver, points, stats: computeTripStats(points, driverDeliveries) };
+    })
+    .sort((a, b) => b.stats.distance - a.stats.distance);
+
+  const totals = rows.reduce((sum, row) => ({
+    distance: sum.distance + row.stats.distance,
+    movingTime: sum.movingTime + row.stats.movingTime,
+    stopCount: sum.stopCount + row.stats.stopCount,
+  }), { distance: 0, movingTime: 0, stopCount: 0 });
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">Trip Analytics</h1>
+          <p className="text-gray-600">Distance, moving time and stops per driver, from their location logs</p>
+        </div>
+        <div className="flex items-center gap-3">
+          <div className="flex items-center gap-2">
+            <Calendar className="w-4 h-4 text-gray-600" />
+            <input
+              type="date"
+              value={selectedDate}
+              onChange={(e) => setSelectedDate(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+            />
+          </div>
+          <button
+            onClick={fetchData}
+            className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition"
+          >
+            <RefreshCw className="w-4 h-4" />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Fleet totals */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className="bg-white p-4 rounded-lg shadow">
+          <p className="text-sm text-gray-600 mb-1">Fleet Distance</p>
+          <p className="text-2xl font-bold text-gray-800">{formatDistance(totals.distance)}</p>
+        </div>
+        <div className="bg-white p-4 rounded-lg shadow">
+          <p className="text-sm text-gray-600 mb-1">Fleet Moving Time</p>
+          <p className="text-2xl font-bold text-gray-800">{formatDuration(totals.movingTime)}</p>
+        </div>
+        <div className="bg-white p-4 rounded-lg shadow">
+          <p className="text-sm text-gray-600 mb-1">Stops</p>
+          <p className="text-2xl font-bold text-gray-800">{totals.stopCount}</p>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {loading ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+            <p className="mt-4 text-gray-600">Loading trip data...</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Driver</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Distance</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Moving</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Idle</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Stops</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Points</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {rows.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="px-6 py-8 text-center text-gray-500">
+                      No drivers found
+                    </td>
+                  </tr>
+                ) : (
+                  rows.map(({ driver, points, stats }) => {
+                    const isExpanded = expandedDriverId === driver.id;
+
+                    return (
+                      <React.Fragment key={driver.id}>
+                        <tr
+                          onClick={() => setExpandedDriverId(isExpanded ? null : driver.id)}
+                          className="hover:bg-gray-50 cursor-pointer"
+                        >
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="flex items-center gap-3">
+                              {isExpanded
+                                ? <ChevronDown className="w-4 h-4 text-gray-400" />
+                                : <ChevronRight className="w-4 h-4 text-gray-400" />}
+                              <div className="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center">
+                                <User className="w-4 h-4 text-blue-600" />
+                              </div>
+                              <div>
+                                <div className="text-sm font-medium text-gray-900">{driver.fullname}</div>
+                                <div className="text-sm text-gray-500">@{driver.username}</div>
+                              </div>
+                            </div>
+                          </td>
+                          <td className="px-6 py-4 text-sm text-gray-900">{formatDistance(stats.distance)}</td>
+                          <td className="px-6 py-4 text-sm text-gray-900">{formatDuration(stats.movingTime)}</td>
+                          <td className="px-6 py-4 text-sm text-gray-900">{formatDuration(stats.idleTime)}</td>
+                          <td className="px-6 py-4 text-sm text-gray-900">{stats.stopCount}</td>
+                          <td className="px-6 py-4 text-sm text-gray-500">{points.length}</td>
+                        </tr>
+                        {isExpanded && (
+                          <tr>
+                            <td colSpan="6" className="px-6 py-4 bg-gray-50">
+                              {stats.stops.length === 0 ? (
+                                <p className="text-sm text-gray-500">No stops detected on {selectedDate}</p>
+                              ) : (
+                                <div className="space-y-2">
+                                  {stats.stops.map((stop) => (
+                                    <div key={stop.start} className="flex items-center justify-between bg-white p-3 rounded-lg border border-gray-200 text-sm">
+                                      <span className="text-gray-800">
+                                        {formatClock(stop.start)} – {formatClock(stop.end)}
+                                        <span className="text-gray-500"> ({formatDuration(stop.duration)})</span>
+                                      </span>
+                                      <span className="flex items-center gap-1 text-gray-600">
+                                        <MapPin className="w-4 h-4" />
+                                        {stop.nearestDelivery
+                                          ? `${stop.nearestDelivery.delivery.title} • ${formatDistance(stop.nearestDelivery.distance)} away`
+                                          : 'No delivery nearby'}
+                                      </span>
+                                    </div>
+                                  ))}
+                                </div>
+                              )}
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TripAnalytics;
@@ -0,0 +1,348 @@
+import React, { useState, useEffect } from 'react';
+import { Search, Plus, Edit, Archive, Car, User, X } from 'lucide-react';
+import { vehiclesAPI, driversAPI } from '../services/api';
+import { VEHICLE_TYPES, VEHICLE_STATUSES, getVehicleDriver } from '../utils/vehicles';
+import { formatWeight, formatVolume } from '../utils/load';
+
+const EMPTY_FORM = { plate: '', type: 'van', capacityKg: '', capacityM3: '', status: 'active' };
+
+const Vehicles = () => {
+  const [vehicles, setVehicles] = useState([]);
+  const [drivers, setDrivers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [showRetired, setShowRetired] = useState(false);
+  const [showModal, setShowModal] = useState(false);
+  const [selectedVehicle, setSelectedVehicle] = useState(null); // null while adding
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [vehiclesRes, driversRes] = await Promise.all([
+        vehiclesAPI.getAll(),
+        driversAPI.getAll()
+      ]);
+      setVehicles(vehiclesRes.data);
+      setDrivers(driversRes.data);
+    } catch (error) {
+      console.error('Error fetching vehicles:', error);
+      alert('Failed to load vehicles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAddVehicle = () => {
+    setSelectedVehicle(null);
+    setFormData(EMPTY_FORM);
+    setShowModal(true);
+  };
+
+  const handleEditVehicle = (vehicle) => {
+    setSelectedVehicle(vehicle);
+    setFormData({
+      plate: vehicle.plate || '',
+      type: vehicle.type || 'van',
+      capacityKg: vehicle.capacityKg ?? '',
+      capacityM3: vehicle.capacityM3 ?? '',
+      status: vehicle.status || 'active',
+    });
+    setShowModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const plate = formData.plate.trim().toUpperCase();
+    const duplicate = vehicles.some(v => v.plate?.toUpperCase() === plate && v.id !== selectedVehicle?.id);
+    if (duplicate) {
+      alert(`A vehicle with plate ${plate} already exists`);
+      return;
+    }
+
+    // Capacity fields are numbers, or null when left blank (no limit)
+    const data = {
+      ...formData,
+      plate,
+      capacityKg: formData.capacityKg === '' ? null : Number(formData.capacityKg),
+      capacityM3: formData.capacityM3 === '' ? null : Number(formData.capacityM3),
+    };
+    try {
+      if (selectedVehicle) {
+        await vehiclesAPI.update(selectedVehicle.id, data);
+        alert('Vehicle updated successfully!');
+      } else {
+        await vehiclesAPI.create(data);
+        alert('Vehicle added successfully!');
+      }
+      setShowModal(false);
+      fetchData();
+    } catch (error) {
+      console.error('Error saving vehicle:', error);
+      alert(error.response?.data?.message || 'Failed to save vehicle');
+    }
+  };
+
+  const handleRetireVehicle = async (vehicle) => {
+    const driver = getVehicleDriver(vehicle, drivers);
+    const driverNote = driver ? ` It will be taken away from ${driver.fullname}.` : '';
+    if (!window.confirm(`Retire vehicle ${vehicle.plate}?${driverNote}`)) return;
+
+    try {
+      await vehiclesAPI.update(vehicle.id, { ...vehicle, status: 'retired' });
+      if (driver) {
+        await driversAPI.update(driver.id, { fullname: driver.fullname, phone: driver.phone, vehicleId: null });
+      }
+      alert('Vehicle retired');
+      fetchData();
+    } catch (error) {
+      console.error('Error retiring vehicle:', error);
+      alert(error.response?.data?.message || 'Failed to retire vehicle');
+    }
+  };
+
+  const formatCapacity = (vehicle) => {
+    const limits = [
+      vehicle.capacityKg && formatWeight(vehicle.capacityKg),
+      vehicle.capacityM3 && formatVolume(vehicle.capacityM3),
+    ].filter(Boolean);
+    return limits.length > 0 ? limits.join(' • ') : 'Not set';
+  };
+
+  const filteredVehicles = vehicles.filter(vehicle => {
+    const driver = getVehicleDriver(vehicle, drivers);
+    const matchesSearch =
+      vehicle.plate?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      driver?.fullname?.toLowerCase().includes(searchTerm.toLowerCase());
+    return matchesSearch && (showRetired || vehicle.status !== 'retired');
+  });
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold text-gray-800">Vehicles</h1>
+        <button
+          onClick={handleAddVehicle}
+          className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition"
+        >
+          <Plus className="w-5 h-5" />
+          Add Vehicle
+        </button>
+      </div>
+
+      {/* Search */}
+      <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-col md:flex-row gap-4 md:items-center">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+          <input
+            type="text"
+            placeholder="Search by plate or driver..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={showRetired}
+            onChange={(e) => setShowRetired(e.target.checked)}
+            className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+          />
+          Show retired
+        </label>
+      </div>
+
+      {/* Vehicles Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {loading ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+            <p className="mt-4 text-gray-600">Loading vehicles...</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Vehicle</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Capacity</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Driver</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {filteredVehicles.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" className="px-6 py-8 text-center text-gray-500">
+                      No vehicles found
+                    </td>
+                  </tr>
+                ) : (
+                  filteredVehicles.map((vehicle) => {
+                    const driver = getVehicleDriver(vehicle, drivers);
+                    const status = VEHICLE_STATUSES[vehicle.status] || VEHICLE_STATUSES.active;
+                    return (
+                      <tr key={vehicle.id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="flex items-center">
+                            <div className="flex-shrink-0 h-10 w-10 bg-blue-100 rounded-full flex items-center justify-center">
+                              <Car className="h-6 w-6 text-blue-600" />
+                            </div>
+                            <div className="ml-4">
+                              <div className="text-sm font-medium text-gray-900">{vehicle.plate}</div>
+                              <div className="text-sm text-gray-500">{VEHICLE_TYPES[vehicle.type] || vehicle.type}</div>
+                            </div>
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {formatCapacity(vehicle)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {driver ? (
+                            <span className="flex items-center gap-2">
+                              <User className="w-4 h-4 text-gray-400" />
+                              {driver.fullname}
+                            </span>
+                          ) : (
+                            <span className="text-gray-400">Unassigned</span>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`px-2 py-1 text-xs font-semibold rounded-full ${status.badgeClass}`}>
+                            {status.label}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                          {vehicle.status !== 'retired' && (
+                            <div className="flex gap-2">
+                              <button
+                                onClick={() => handleEditVehicle(vehicle)}
+                                className="text-green-600 hover:text-green-900"
+                                title="Edit"
+                              >
+                                <Edit className="w-5 h-5" />
+                              </button>
+                              <button
+                                onClick={() => handleRetireVehicle(vehicle)}
+                                className="text-red-600 hover:text-red-900"
+                                title="Retire"
+                              >
+                                <Archive className="w-5 h-5" />
+                              </button>
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="sticky top-0 bg-white border-b px-6 py-4 flex justify-between items-center">
+              <h2 className="text-xl font-bold text-gray-800">
+                {selectedVehicle ? 'Edit Vehicle' : 'Add New Vehicle'}
+              </h2>
+              <button onClick={() => setShowModal(false)} className="text-gray-500 hover:text-gray-700">
+                <X className="w-6 h-6" />
+              </button>
+            </div>
+
+            <form onSubmit={handleSubmit} className="p-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Plate Number *</label>
+                  <input
+                    type="text"
+                    value={formData.plate}
+                    onChange={(e) => setFormData({...formData, plate: e.target.value})}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="e.g., L 1234 AB"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Type *</label>
+                  <select
+                    value={formData.type}
+                    onChange={(e) => setFormData({...formData, type: e.target.value})}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {Object.entries(VEHICLE_TYPES).map(([type, label]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Capacity (kg)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={formData.capacityKg}
+                    onChange={(e) => setFormData({...formData, capacityKg: e.target.value})}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="No limit"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Capacity (m³)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={formData.capacityM3}
+                    onChange={(e) => setFormData({...formData, capacityM3: e.target.value})}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="No limit"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Status</label>
+                  <select
+                    value={formData.status}
+                    onChange={(e) => setFormData({...formData, status: e.target.value})}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="active">{VEHICLE_STATUSES.active.label}</option>
+                    <option value="maintenance">{VEHICLE_STATUSES.maintenance.label}</option>
+                  </select>
+                </div>
+              </div>
+              <div className="mt-6 flex gap-3 justify-end">
+                <button
+                  type="button"
+                  onClick={() => setShowModal(false)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                >
+                  {selectedVehicle ? 'Save Changes' : 'Add Vehicle'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Vehicles;
@@ -3,6 +3,9 @@ import axios from 'axios';
 const API_BASE_URL = 'https://driver-admin-backend-production.up.railway.app/api';
 // const API_BASE_URL = 'http://127.0.0.1:4000/api';
 
+// Socket.io server lives on the same host, outside the /api prefix
+export const SOCKET_URL = API_BASE_URL.replace(/\/api$/, '');
+
 const api = axios.create({
   baseURL: API_BASE_URL,
   headers: {
@@ -52,6 +55,9 @@ export const driversAPI = {
     password: data.password,
     fullname: data.fullname,
     phone: data.phone,
+    vehicleId: data.vehicleId || null,
+    vehicleCapacityKg: data.vehicleCapacityKg ?? null,
+    vehicleCapacityM3: data.vehicleCapacityM3 ?? null,
   }),
   update: (id, data) => {
     const updateData = {
@@ -61,9 +67,33 @@ export const driversAPI = {
     if (data.password) {
       updateData.password = data.password;
     }
+    if (data.vehicleId !== undefined) {
+      updateData.vehicleId = data.vehicleId;
+    }
+    // A driver's own capacity, used while they have no fleet vehicle
+    if (data.vehicleCapacityKg !== undefined) {
+      updateData.vehicleCapacityKg = data.vehicleCapacityKg;
+    }
+    if (data.vehicleCapacityM3 !== undefined) {
+      updateData.vehicleCapacityM3 = data.vehicleCapacityM3;
+    }
+    if (data.documents !== undefined) {
+      updateData.documents = data.documents;
+    }
+    if (data.employmentStatus !== undefined) {
+      updateData.employmentStatus = data.employmentStatus;
+      updateData.statusReason = data.statusReason || null;
+    }
     return api.put(`/drivers/${id}`, updateData);
   },
-  delete: (id) => api.delete(`/drivers/${id}`),
+  // Scan of a licence, ID card or permit; responds with { url }
+  uploadDocument: (id, file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post(`/drivers/${id}/documents`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
 };
 
 // Deliveries API calls
@@ -75,13 +105,32 @@ export const deliveriesAPI = {
     title: data.title,
     description: data.description,
     destination: data.destination,
+    latitude: data.latitude,
+    longitude: data.longitude,
     items: data.items,
+    scheduledDate: data.scheduledDate || null,
+    windowStart: data.windowStart || null,
+    windowEnd: data.windowEnd || null,
+    priority: data.priority || 'normal',
+    templateId: data.templateId || null,
+    followUpOf: data.followUpOf || null,
   }),
   update: (id, data) => api.put(`/deliveries/${id}`, data),
   delete: (id) => api.delete(`/deliveries/${id}`),
   assignDriver: (id, driverId) => api.patch(`/deliveries/${id}/assign`, { driverId }),
   markCompleted: (id) => api.post(`/deliveries/${id}/complete`),
   approve: (id) => api.post(`/deliveries/${id}/approve`),
+  // Status history events, oldest first
+  getHistory: (id) => api.get(`/deliveries/${id}/history`),
+  addHistoryEvent: (id, event) => api.post(`/deliveries/${id}/history`, event),
+  // Reference photo attached to a rejection; responds with { url }
+  uploadRejectionPhoto: (id, file) => {
+    const formData = new FormData();
+    formData.append('photo', file);
+    return api.post(`/deliveries/${id}/rejection-photos`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
 };
 
 export const locationsAPI = {
@@ -89,5 +138,58 @@ export const locationsAPI = {
   getDriverLocation: (driverId) => api.get(`/locations/${driverId}`),
 };
 
+// Geofence zones drawn on the Live Map
+export const zonesAPI = {
+  getAll: () => api.get('/zones'),
+  create: (data) => api.post('/zones', {
+    name: data.name,
+    category: data.category,
+    shape: data.shape,
+    points: data.points,
+    center: data.center,
+    radius: data.radius,
+  }),
+  delete: (id) => api.delete(`/zones/${id}`),
+};
+
+// Fleet vehicles; retired vehicles are kept for history rather than deleted
+export const vehiclesAPI = {
+  getAll: () => api.get('/vehicles'),
+  create: (data) => api.post('/vehicles', {
+    plate: data.plate,
+    type: data.type,
+    capacityKg: data.capacityKg,
+    capacityM3: data.capacityM3,
+    status: data.status,
+  }),
+  update: (id, data) => api.put(`/vehicles/${id}`, data),
+};
+
+// Driver working hours and time off, one schedule per driver
+export const schedulesAPI = {
+  getAll: () => api.get('/schedules'),
+  update: (driverId, data) => api.put(`/schedules/${driverId}`, {
+    weekly: data.weekly,
+    timeOff: data.timeOff,
+  }),
+};
+
+// Recurring delivery templates
+export const templatesAPI = {
+  getAll: () => api.get('/templates'),
+  create: (data) => api.post('/templates', data),
+  update: (id, data) => api.put(`/templates/${id}`, data),
+  delete: (id) => api.delete(`/templates/${id}`),
+};
+
+// Admin-configurable settings
+export const settingsAPI = {
+  // SLA targets in hours from creation to completion, keyed by priority
+  getSlaTargets: () => api.get('/settings/sla'),
+  updateSlaTargets: (targets) => api.put('/settings/sla', targets),
+  // Reason codes offered when rejecting a delivery: [{ code, label }]
+  getRejectionReasons: () => api.get('/settings/rejection-reasons'),
+  updateRejectionReasons: (reasons) => api.put('/settings/rejection-reasons', reasons),
+};
 
 export default api;
\ No newline at end of file
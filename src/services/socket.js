@@ -0,0 +1,61 @@
+import { io } from 'socket.io-client';
+import { SOCKET_URL } from './api';
+
+// Realtime driver location channel.
+// Server pushes `location:update` events shaped like a single location log
+// ({ driverId, latitude, longitude, speed, timestamp }) for subscribed drivers.
+export const createLocationChannel = ({ onLocation, onStatusChange, onReconnect }) => {
+  let driverIds = [];
+
+  const socket = io(SOCKET_URL, {
+    // Read the token on every (re)connect so a fresh login is picked up
+    auth: (cb) => cb({ token: localStorage.getItem('token') }),
+    transports: ['websocket'],
+    reconnection: true,
+    reconnectionDelay: 1000,
+    reconnectionDelayMax: 10000,
+  });
+
+  const subscribe = () => {
+    if (socket.connected && driverIds.length > 0) {
+      socket.emit('locations:subscribe', { driverIds });
+    }
+  };
+
+  socket.on('connect', () => {
+    onStatusChange?.('connected');
+    // Subscriptions are per connection, so resubscribe after every reconnect
+    subscribe();
+  });
+
+  socket.on('disconnect', () => {
+    onStatusChange?.('disconnected');
+  });
+
+  socket.on('connect_error', (error) => {
+    console.error('Location socket connection error:', error.message);
+    onStatusChange?.('disconnected');
+  });
+
+  socket.io.on('reconnect', () => {
+    onReconnect?.();
+  });
+
+  socket.on('location:update', (payload) => {
+    if (payload?.driverId) {
+      onLocation?.(payload);
+    }
+  });
+
+  return {
+    setDriverIds: (ids) => {
+      driverIds = ids;
+      subscribe();
+    },
+    close: () => {
+      socket.removeAllListeners();
+      socket.io.removeAllListeners();
+      socket.disconnect();
+    },
+  };
+};
@@ -0,0 +1,49 @@
+import L from 'leaflet';
+
+// Pixel position of a { latitude, longitude } point at a zoom level
+const project = (point, zoom) => L.CRS.EPSG3857.latLngToPoint(L.latLng(point.latitude, point.longitude), zoom);
+
+// Grid-based clustering in screen space: items whose markers would land in
+// the same `radius`-pixel cell are merged. Returns [{ latitude, longitude, items }].
+export const clusterPoints = (items, zoom, radius = 60) => {
+  const cells = {};
+
+  items.forEach(item => {
+    const pixel = project(item, zoom);
+    const key = `${Math.floor(pixel.x / radius)}:${Math.floor(pixel.y / radius)}`;
+    if (!cells[key]) cells[key] = [];
+    cells[key].push(item);
+  });
+
+  return Object.values(cells).map(cellItems => ({
+    latitude: cellItems.reduce((sum, item) => sum + item.latitude, 0) / cellItems.length,
+    longitude: cellItems.reduce((sum, item) => sum + item.longitude, 0) / cellItems.length,
+    items: cellItems,
+  }));
+};
+
+// Drops track points that sit within `tolerance` pixels of the previously kept
+// one, so a zoomed-out day collapses to a handful of dots. Keeps both ends.
+export const simplifyTrack = (points, zoom, tolerance = 8) => {
+  if (points.length <= 2) return points;
+
+  const kept = [points[0]];
+  let lastPixel = project(points[0], zoom);
+
+  for (let i = 1; i < points.length - 1; i++) {
+    const pixel = project(points[i], zoom);
+    if (pixel.distanceTo(lastPixel) >= tolerance) {
+      kept.push(points[i]);
+      lastPixel = pixel;
+    }
+  }
+
+  kept.push(points[points.length - 1]);
+  return kept;
+};
+
+// `bounds` is a Leaflet LatLngBounds; null means the viewport is not known yet
+export const isInViewport = (point, bounds) => {
+  if (!bounds) return true;
+  return bounds.contains([point.latitude, point.longitude]);
+};
@@ -0,0 +1,79 @@
+import { deliveriesAPI } from '../services/api';
+import { getUser } from './auth';
+import { toMillis } from './time';
+import { getRejections, describeRejection } from './rejection';
+
+export const HISTORY_EVENT_TYPES = {
+  created: { label: 'Created', color: 'bg-gray-400' },
+  assigned: { label: 'Assigned', color: 'bg-blue-500' },
+  reassigned: { label: 'Reassigned', color: 'bg-indigo-500' },
+  unassigned: { label: 'Unassigned', color: 'bg-orange-500' },
+  completed: { label: 'Completed', color: 'bg-green-500' },
+  rejected: { label: 'Rejected', color: 'bg-red-500' },
+  approved: { label: 'Approved', color: 'bg-purple-500' },
+  failed: { label: 'Failed', color: 'bg-red-700' },
+  reopened: { label: 'Returned to pending', color: 'bg-yellow-500' },
+  cancelled: { label: 'Cancelled', color: 'bg-gray-600' },
+};
+
+// A delivery that has had a driver before gets "reassigned" rather than "assigned"
+export const assignmentEventType = (delivery) => {
+  return delivery.assignedDriverId || delivery.rejectionReason ? 'reassigned' : 'assigned';
+};
+
+// Appends an event to the delivery's history, stamped with the logged-in admin.
+// Failures are logged only: the status change itself already succeeded, and
+// buildTimeline falls back to what the delivery record keeps.
+export const recordDeliveryEvent = async (deliveryId, type, details = {}) => {
+  const admin = getUser();
+  try {
+    await deliveriesAPI.addHistoryEvent(deliveryId, {
+      type,
+      timestamp: new Date().toISOString(),
+      actorId: admin?.id ?? null,
+      actorName: admin?.fullname || admin?.username || null,
+      ...details,
+    });
+  } catch (error) {
+    console.error(`Error recording ${type} event for delivery ${deliveryId}:`, error);
+  }
+};
+
+// Recorded events plus ones implied by the delivery's own timestamps, for
+// deliveries (or driver-app actions) that predate history recording. Oldest first.
+export const buildTimeline = (delivery, events) => {
+  const hasEvent = (type) => events.some(event => event.type === type);
+  const implied = [];
+
+  if (!hasEvent('created') && delivery.createdAt) {
+    implied.push({ type: 'created', timestamp: delivery.createdAt });
+  }
+  if (!hasEvent('completed')) {
+    // A rejection clears `completedAt`, so earlier completions are read
+    // from the rejections that undid them
+    (delivery.rejections || []).filter(rejection => rejection.completedAt).forEach(rejection => {
+      implied.push({ type: 'completed', timestamp: rejection.completedAt, actorName: rejection.driverName });
+    });
+    if (delivery.completedAt) {
+      implied.push({ type: 'completed', timestamp: delivery.completedAt, actorName: delivery.driverName });
+    }
+  }
+  if (!hasEvent('approved') && delivery.approvedAt) {
+    implied.push({ type: 'approved', timestamp: delivery.approvedAt });
+  }
+  if (!hasEvent('rejected')) {
+    getRejections(delivery).forEach(rejection => {
+      implied.push({
+        type: 'rejected',
+        // The old single rejection field has no timestamp of its own
+        timestamp: rejection.rejectedAt || delivery.updatedAt,
+        actorName: rejection.rejectedBy,
+        reason: describeRejection(rejection),
+      });
+    });
+  }
+
+  return [...events, ...implied]
+    .map(event => ({ ...event, time: toMillis(event.timestamp) }))
+    .sort((a, b) => (a.time ?? 0) - (b.time ?? 0));
+};
@@ -0,0 +1,125 @@
+import Papa from 'papaparse';
+import { readSheet } from 'read-excel-file/browser';
+import { PRIORITIES } from './priority';
+
+// Delivery fields a spreadsheet column can be mapped to
+export const IMPORT_FIELDS = [
+  { key: 'title', label: 'Title', required: true },
+  { key: 'description', label: 'Description', required: false },
+  { key: 'destination', label: 'Destination', required: true },
+  { key: 'items', label: 'Items', required: true },
+  // Required like on the manual form, where the destination is placed on the map
+  { key: 'latitude', label: 'Latitude', required: true },
+  { key: 'longitude', label: 'Longitude', required: true },
+  { key: 'priority', label: 'Priority', required: false },
+];
+
+// Header names recognised when guessing the mapping
+const HEADER_ALIASES = {
+  title: ['title', 'name', 'delivery', 'delivery name'],
+  description: ['description', 'notes', 'note', 'details'],
+  destination: ['destination', 'address', 'location'],
+  items: ['items', 'item', 'goods', 'products'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lng', 'lon', 'long'],
+  priority: ['priority'],
+};
+
+const cellText = (cell) => {
+  if (cell instanceof Date) return cell.toISOString().slice(0, 10);
+  return String(cell ?? '').trim();
+};
+
+// Reads a CSV file or the first sheet of an XLSX file into { headers, rows }
+// where rows are { rowNumber, cells } with cells as strings. Blank rows are
+// dropped, but rowNumber still points at the row in the original file.
+export const readSpreadsheet = async (file) => {
+  const sheetRows = file.name.toLowerCase().endsWith('.csv')
+    ? Papa.parse(await file.text()).data
+    : await readSheet(file);
+
+  const [headerRow = [], ...rows] = sheetRows.map(row => row.map(cellText));
+  return {
+    headers: headerRow,
+    rows: rows
+      // Spreadsheet row number, counting the header row
+      .map((cells, index) => ({ rowNumber: index + 2, cells }))
+      .filter(row => row.cells.some(cell => cell !== '')),
+  };
+};
+
+// { field: columnIndex } for the headers that look like a known field
+export const guessColumnMapping = (headers) => {
+  const mapping = {};
+  IMPORT_FIELDS.forEach(({ key }) => {
+    const index = headers.findIndex(header => HEADER_ALIASES[key].includes(header.toLowerCase()));
+    if (index !== -1) mapping[key] = index;
+  });
+  return mapping;
+};
+
+// "Rice x 2; Water x 10" (also "Rice: 2", "Rice * 2", one per line) → [{ name, quantity }]
+export const parseItems = (text) => {
+  const items = [];
+  const errors = [];
+
+  text.split(/[;\n]/).map(part => part.trim()).filter(Boolean).forEach(part => {
+    const match = part.match(/^(.+?)\s*(?:x|\*|:)\s*(\d+(?:\.\d+)?)$/i);
+    if (match && Number(match[2]) > 0) {
+      items.push({ name: match[1].trim(), quantity: match[2] });
+    } else {
+      errors.push(`Item "${part}" should look like "name x quantity"`);
+    }
+  });
+
+  return { items, errors };
+};
+
+const parseCoordinate = (value, label, limit, errors) => {
+  if (value === '') return null;
+  const number = Number(value);
+  if (Number.isNaN(number) || Math.abs(number) > limit) {
+    errors.push(`${label} "${value}" is not valid`);
+    return null;
+  }
+  return number;
+};
+
+// Validates every row from readSpreadsheet against the mapping. Returns
+// [{ rowNumber, data, errors }] where `data` is ready for deliveriesAPI.create.
+export const buildImportRows = (rows, mapping) => {
+  const cell = (row, key) => (mapping[key] === undefined ? '' : row.cells[mapping[key]] ?? '');
+
+  return rows.map((row) => {
+    const errors = [];
+
+    IMPORT_FIELDS.filter(field => field.required).forEach(field => {
+      if (!cell(row, field.key)) errors.push(`${field.label} is required`);
+    });
+
+    const { items, errors: itemErrors } = parseItems(cell(row, 'items'));
+    errors.push(...itemErrors);
+
+    const latitude = parseCoordinate(cell(row, 'latitude'), 'Latitude', 90, errors);
+    const longitude = parseCoordinate(cell(row, 'longitude'), 'Longitude', 180, errors);
+
+    const priority = cell(row, 'priority').toLowerCase() || 'normal';
+    if (!PRIORITIES[priority]) {
+      errors.push(`Priority "${cell(row, 'priority')}" should be one of ${Object.keys(PRIORITIES).join(', ')}`);
+    }
+
+    return {
+      rowNumber: row.rowNumber,
+      data: {
+        title: cell(row, 'title'),
+        description: cell(row, 'description'),
+        destination: cell(row, 'destination'),
+        latitude,
+        longitude,
+        priority,
+        items,
+      },
+      errors,
+    };
+  });
+};
@@ -0,0 +1,102 @@
+import { Clock, Package, CheckCircle, BadgeCheck, AlertTriangle, Ban, UserPlus, UserMinus, XCircle, RotateCcw, CornerUpLeft } from 'lucide-react';
+
+// Every delivery status, in lifecycle order, with how it is displayed.
+// Tailwind classes are spelled out in full so they survive purging.
+export const DELIVERY_STATUSES = {
+  pending: {
+    label: 'Pending',
+    icon: Clock,
+    badgeClass: 'bg-yellow-100 text-yellow-800',
+    borderClass: 'border-yellow-200',
+    cardClass: 'bg-yellow-50 border-yellow-200',
+    cardTextClass: 'text-yellow-800',
+  },
+  assigned: {
+    label: 'Assigned',
+    icon: Package,
+    badgeClass: 'bg-blue-100 text-blue-800',
+    borderClass: 'border-blue-200',
+    cardClass: 'bg-blue-50 border-blue-200',
+    cardTextClass: 'text-blue-800',
+  },
+  completed: {
+    label: 'Completed',
+    icon: CheckCircle,
+    badgeClass: 'bg-green-100 text-green-800',
+    borderClass: 'border-green-200',
+    cardClass: 'bg-green-50 border-green-200',
+    cardTextClass: 'text-green-800',
+  },
+  approved: {
+    label: 'Approved',
+    icon: BadgeCheck,
+    badgeClass: 'bg-purple-100 text-purple-800',
+    borderClass: 'border-purple-200',
+    cardClass: 'bg-purple-50 border-purple-200',
+    cardTextClass: 'text-purple-800',
+  },
+  failed: {
+    label: 'Failed',
+    icon: AlertTriangle,
+    badgeClass: 'bg-red-100 text-red-800',
+    borderClass: 'border-red-200',
+    cardClass: 'bg-red-50 border-red-200',
+    cardTextClass: 'text-red-800',
+  },
+  cancelled: {
+    label: 'Cancelled',
+    icon: Ban,
+    badgeClass: 'bg-gray-100 text-gray-800',
+    borderClass: 'border-gray-200',
+    cardClass: 'bg-gray-50 border-gray-200',
+    cardTextClass: 'text-gray-800',
+  },
+};
+
+export const STATUS_ORDER = Object.keys(DELIVERY_STATUSES);
+
+// Legal transitions, keyed by the action that causes them
+export const DELIVERY_ACTIONS = {
+  assign: { label: 'Assign Driver', icon: UserPlus, from: ['pending'], to: 'assigned' },
+  unassign: { label: 'Unassign', icon: UserMinus, from: ['assigned'], to: 'pending' },
+  // Done by the driver app; listed so the transition is known here
+  complete: { label: 'Mark Completed', icon: CheckCircle, from: ['assigned'], to: 'completed' },
+  approve: { label: 'Approve', icon: BadgeCheck, from: ['completed'], to: 'approved' },
+  reject: { label: 'Reject', icon: XCircle, from: ['completed'], to: 'pending' },
+  // Rejected, but the same driver fixes it instead of the delivery being unassigned
+  returnToDriver: { label: 'Send Back to Driver', icon: CornerUpLeft, from: ['completed'], to: 'assigned' },
+  fail: { label: 'Mark Failed', icon: AlertTriangle, from: ['assigned'], to: 'failed' },
+  retry: { label: 'Return to Pending', icon: RotateCcw, from: ['failed'], to: 'pending' },
+  cancel: { label: 'Cancel', icon: Ban, from: ['pending', 'assigned', 'failed'], to: 'cancelled' },
+};
+
+// Out with a driver or waiting for approval
+export const ACTIVE_STATUSES = ['assigned', 'completed'];
+// Nothing more will happen to these
+export const TERMINAL_STATUSES = ['approved', 'cancelled'];
+
+const UNKNOWN_STATUS = {
+  icon: Package,
+  badgeClass: 'bg-gray-100 text-gray-800',
+  borderClass: 'border-gray-200',
+  cardClass: 'bg-gray-50 border-gray-200',
+  cardTextClass: 'text-gray-800',
+};
+
+export const getStatusMeta = (status) => {
+  return DELIVERY_STATUSES[status] || { ...UNKNOWN_STATUS, label: status || 'Unknown' };
+};
+
+export const canTransition = (status, action) => {
+  return Boolean(DELIVERY_ACTIONS[action]?.from.includes(status));
+};
+
+// Actions (from `candidates`, in that order) that are legal for `status`
+export const availableActions = (status, candidates = Object.keys(DELIVERY_ACTIONS)) => {
+  return candidates.filter(action => canTransition(status, action));
+};
+
+export const transitionError = (status, action) => {
+  const { label } = DELIVERY_ACTIONS[action];
+  return `"${label}" is not allowed for a delivery that is ${getStatusMeta(status).label.toLowerCase()}`;
+};
@@ -0,0 +1,122 @@
+import Papa from 'papaparse';
+import { jsPDF } from 'jspdf';
+import { autoTable } from 'jspdf-autotable';
+import { toDate } from './time';
+import { downloadFile } from './download';
+import { formatSchedule } from './schedule';
+import { formatItem, deliveryLoad, formatWeight } from './load';
+
+const THUMBNAIL_SIZE = 18; // mm
+const MAX_THUMBNAILS = 3;
+
+const formatTimestamp = (timestamp) => {
+  const date = toDate(timestamp);
+  if (!date) return '';
+  return date.toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const formatItems = (items) => {
+  return (items || []).map(formatItem).join('; ');
+};
+
+// One flat row per delivery, shared by the CSV and PDF exports
+export const toReportRows = (deliveries) => {
+  return deliveries.map(delivery => {
+    const { weightKg } = deliveryLoad(delivery);
+    return {
+      ID: delivery.id,
+      Title: delivery.title || '',
+      Destination: delivery.destination || '',
+      Status: delivery.status || '',
+      Driver: delivery.driverName || '',
+      Items: formatItems(delivery.items),
+      Weight: weightKg > 0 ? formatWeight(weightKg) : '',
+      Scheduled: delivery.scheduledDate ? formatSchedule(delivery) : '',
+      Created: formatTimestamp(delivery.createdAt),
+      Assigned: formatTimestamp(delivery.assignedAt),
+      Completed: formatTimestamp(delivery.completedAt),
+      Approved: formatTimestamp(delivery.approvedAt),
+    };
+  });
+};
+
+export const exportDeliveriesCsv = (deliveries, baseName) => {
+  downloadFile(Papa.unparse(toReportRows(deliveries)), `${baseName}.csv`, 'text/csv;charset=utf-8');
+};
+
+const loadImageDataUrl = async (url) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    const blob = await response.blob();
+    return await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => resolve(null);
+      reader.readAsDataURL(blob);
+    });
+  } catch (error) {
+    console.error(`Error loading proof-of-delivery image ${url}:`, error);
+    return null;
+  }
+};
+
+// PDF report of `deliveries`. `photosById` optionally maps delivery id to
+// proof-of-delivery image URLs; the first few are embedded as thumbnails.
+export const exportDeliveriesPdf = async (deliveries, { title, subtitle, baseName, photosById }) => {
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+  const rows = toReportRows(deliveries);
+  const includePhotos = Boolean(photosById);
+
+  const thumbnails = {};
+  if (includePhotos) {
+    for (const delivery of deliveries) {
+      const urls = (photosById[delivery.id] || []).slice(0, MAX_THUMBNAILS);
+      const images = await Promise.all(urls.map(loadImageDataUrl));
+      thumbnails[delivery.id] = images.filter(Boolean);
+    }
+  }
+
+  doc.setFontSize(16);
+  doc.text(title, 14, 15);
+  doc.setFontSize(10);
+  doc.setTextColor(100);
+  doc.text(subtitle, 14, 21);
+
+  const columns = ['Title', 'Destination', 'Status', 'Driver', 'Items', 'Scheduled', 'Created', 'Assigned', 'Completed', 'Approved'];
+  const head = [includePhotos ? [...columns, 'Proof of Delivery'] : columns];
+  const body = rows.map(row => {
+    const cells = columns.map(column => row[column]);
+    return includePhotos ? [...cells, ''] : cells;
+  });
+
+  autoTable(doc, {
+    head,
+    body,
+    startY: 26,
+    styles: { fontSize: 8, cellPadding: 1.5, valign: 'middle' },
+    headStyles: { fillColor: [37, 99, 235] },
+    columnStyles: includePhotos
+      ? { [columns.length]: { cellWidth: MAX_THUMBNAILS * (THUMBNAIL_SIZE + 1) + 2, minCellHeight: THUMBNAIL_SIZE + 2 } }
+      : {},
+    didDrawCell: (data) => {
+      if (!includePhotos || data.section !== 'body' || data.column.index !== columns.length) return;
+      const images = thumbnails[deliveries[data.row.index].id] || [];
+      images.forEach((image, index) => {
+        try {
+          doc.addImage(image, data.cell.x + 1 + index * (THUMBNAIL_SIZE + 1), data.cell.y + 1, THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+        } catch (error) {
+          console.error('Error embedding proof-of-delivery image:', error);
+        }
+      });
+    },
+  });
+
+  doc.save(`${baseName}.pdf`);
+};
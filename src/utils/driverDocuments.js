@@ -0,0 +1,67 @@
+import { toDateKey } from './recurrence';
+
+// Documents live on the driver record as `documents`: a list of
+// { type, number, licenceClass, expiryDate (yyyy-mm-dd), fileUrl, fileName }.
+// `licenceClass` only applies to licences.
+
+export const DOCUMENT_TYPES = {
+  licence: { label: 'Driving Licence' },
+  id_card: { label: 'ID Card' },
+  vehicle_permit: { label: 'Vehicle Permit' },
+};
+
+// Documents expiring within this many days are flagged
+export const EXPIRY_WARNING_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getDocuments = (driver) => driver?.documents || [];
+
+export const getDocumentLabel = (document) => DOCUMENT_TYPES[document.type]?.label || 'Document';
+
+export const EXPIRY_STATES = {
+  none: { badgeClass: 'bg-gray-100 text-gray-800' },
+  valid: { badgeClass: 'bg-green-100 text-green-800' },
+  expiring: { badgeClass: 'bg-yellow-100 text-yellow-800' },
+  expired: { badgeClass: 'bg-red-100 text-red-800' },
+};
+
+// 'none' (no expiry date), 'valid', 'expiring' or 'expired', with whole days
+// left until the expiry date (negative once expired). A document is valid
+// through its expiry date.
+export const getExpiryState = (document, millis) => {
+  if (!document.expiryDate) return { state: 'none', daysLeft: null };
+
+  const today = new Date(`${toDateKey(new Date(millis))}T00:00`);
+  const expiry = new Date(`${document.expiryDate}T00:00`);
+  const daysLeft = Math.round((expiry - today) / DAY_MS);
+
+  if (daysLeft < 0) return { state: 'expired', daysLeft };
+  if (daysLeft <= EXPIRY_WARNING_DAYS) return { state: 'expiring', daysLeft };
+  return { state: 'valid', daysLeft };
+};
+
+export const describeExpiry = ({ state, daysLeft }) => {
+  if (state === 'none') return 'No expiry';
+  if (state === 'expired') return daysLeft === -1 ? 'Expired yesterday' : `Expired ${-daysLeft} days ago`;
+  if (daysLeft === 0) return 'Expires today';
+  return daysLeft === 1 ? 'Expires tomorrow' : `Expires in ${daysLeft} days`;
+};
+
+// Expired and soon-to-expire documents across `drivers`, soonest first
+export const expiringDocuments = (drivers, millis) => {
+  return drivers
+    .flatMap(driver => getDocuments(driver).map(document => ({
+      driver,
+      document,
+      expiry: getExpiryState(document, millis),
+    })))
+    .filter(({ expiry }) => expiry.state === 'expired' || expiry.state === 'expiring')
+    .sort((a, b) => a.expiry.daysLeft - b.expiry.daysLeft);
+};
+
+export const hasExpiredLicence = (driver, millis) => {
+  return getDocuments(driver).some(document =>
+    document.type === 'licence' && getExpiryState(document, millis).state === 'expired'
+  );
+};
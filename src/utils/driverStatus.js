@@ -0,0 +1,40 @@
+import { hasExpiredLicence } from './driverDocuments';
+
+// Drivers are never deleted, so deliveries and their history keep pointing at
+// a real record. Suspended drivers can be reinstated; terminated is final.
+export const EMPLOYMENT_STATUSES = {
+  active: { label: 'Active', badgeClass: 'bg-green-100 text-green-800' },
+  suspended: { label: 'Suspended', badgeClass: 'bg-yellow-100 text-yellow-800' },
+  terminated: { label: 'Terminated', badgeClass: 'bg-gray-100 text-gray-800' },
+};
+
+// Records from before employment status was tracked are active
+export const getEmploymentStatus = (driver) => driver?.employmentStatus || 'active';
+
+export const isActiveDriver = (driver) => getEmploymentStatus(driver) === 'active';
+
+// Why the driver can't be given deliveries at `millis`, or null if they can.
+// Every way of assigning a delivery checks this.
+export const getAssignmentBlocker = (driver, millis) => {
+  if (!isActiveDriver(driver)) {
+    return `${driver.fullname} is ${getEmploymentStatus(driver)} and can't be assigned deliveries.`;
+  }
+  if (hasExpiredLicence(driver, millis)) {
+    return `${driver.fullname}'s driving licence has expired. Renew it on the Drivers page before assigning deliveries.`;
+  }
+  return null;
+};
+
+export const canAssignDriver = (driver, millis) => getAssignmentBlocker(driver, millis) === null;
+
+// Work still out with the driver that has to be handed over before deactivating
+export const getOpenDeliveries = (driver, deliveries) => {
+  return deliveries.filter(delivery => delivery.assignedDriverId === driver.id && delivery.status === 'assigned');
+};
+
+// Work the driver has completed but an admin hasn't approved or rejected yet.
+// A rejection may send it back to them, so it has to be reviewed before
+// deactivating; it can't be handed over like an open delivery.
+export const getUnreviewedDeliveries = (driver, deliveries) => {
+  return deliveries.filter(delivery => delivery.assignedDriverId === driver.id && delivery.status === 'completed');
+};
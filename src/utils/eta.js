@@ -0,0 +1,76 @@
+import { distanceMeters, hasCoordinates } from './geo';
+import { toTrackPoints } from './locationLogs';
+import { sortByRouteOrder } from './routeOptimization';
+import { computeTripStats } from './tripAnalytics';
+
+// City driving speed used when the logs don't tell us anything better
+const DEFAULT_SPEED_KMH = 25;
+const MIN_SPEED_KMH = 5;
+// Average speed is taken over this much of the most recent driving
+const SPEED_WINDOW_MS = 30 * 60 * 1000;
+// Roads are longer than the straight line between two points
+const ROAD_FACTOR = 1.3;
+// Time spent handing over each delivery before driving to the next
+const SERVICE_TIME_MS = 5 * 60 * 1000;
+// A last location older than this makes the estimate unreliable
+const STALE_LOCATION_MS = 10 * 60 * 1000;
+
+export const recentAverageSpeedKmh = (points) => {
+  if (points.length < 2) return DEFAULT_SPEED_KMH;
+
+  const latest = points[points.length - 1].time;
+  const recent = points.filter(point => point.time >= latest - SPEED_WINDOW_MS);
+  const { distance, movingTime } = computeTripStats(recent);
+
+  if (movingTime > 0) {
+    return Math.max(MIN_SPEED_KMH, (distance / 1000) / (movingTime / 3600000));
+  }
+
+  // Not enough movement between logs; fall back to the speeds the device reported
+  const reported = recent.map(point => point.speed).filter(speed => speed > 0);
+  if (reported.length === 0) return DEFAULT_SPEED_KMH;
+  return Math.max(MIN_SPEED_KMH, reported.reduce((sum, speed) => sum + speed, 0) / reported.length);
+};
+
+// ETAs for one driver's assigned deliveries, visited in queue (route) order from
+// their latest logged position. Returns { [deliveryId]: { eta, duration, queuePosition, stale } }
+// where `eta` is epoch ms and `duration` is ms from `now`.
+export const estimateDriverEtas = (logs, driverDeliveries, now) => {
+  const points = toTrackPoints(logs);
+  const location = points[points.length - 1];
+  if (!location) return {};
+
+  const speedMps = recentAverageSpeedKmh(points) / 3.6;
+  const stale = now - location.time > STALE_LOCATION_MS;
+  const queue = sortByRouteOrder(
+    driverDeliveries.filter(delivery => delivery.status === 'assigned' && hasCoordinates(delivery))
+  );
+
+  const etas = {};
+  let previous = location;
+  let duration = 0;
+
+  queue.forEach((delivery, index) => {
+    const legMeters = distanceMeters(previous, delivery) * ROAD_FACTOR;
+    duration += (legMeters / speedMps) * 1000 + (index > 0 ? SERVICE_TIME_MS : 0);
+    etas[delivery.id] = { eta: now + duration, duration, queuePosition: index + 1, stale };
+    previous = delivery;
+  });
+
+  return etas;
+};
+
+// ETAs for every assigned delivery; `logsByDriver` maps driver id to location logs
+export const estimateEtas = (deliveries, logsByDriver, now) => {
+  const byDriver = {};
+  deliveries.forEach(delivery => {
+    if (delivery.status !== 'assigned' || !delivery.assignedDriverId) return;
+    if (!byDriver[delivery.assignedDriverId]) byDriver[delivery.assignedDriverId] = [];
+    byDriver[delivery.assignedDriverId].push(delivery);
+  });
+
+  return Object.entries(byDriver).reduce((etas, [driverId, driverDeliveries]) => ({
+    ...etas,
+    ...estimateDriverEtas(logsByDriver[driverId], driverDeliveries, now),
+  }), {});
+};
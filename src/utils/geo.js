@@ -0,0 +1,65 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+export const hasCoordinates = (point) => {
+  return Number.isFinite(point?.latitude) && Number.isFinite(point?.longitude);
+};
+
+export const formatCoordinates = (point) => {
+  if (!hasCoordinates(point)) return 'Not set';
+  return `${point.latitude.toFixed(6)}, ${point.longitude.toFixed(6)}`;
+};
+
+// Position along a track at `time`, linearly interpolated between the
+// surrounding points. `points` must be sorted ascending by `time`.
+export const interpolateTrack = (points, time) => {
+  if (!points || points.length === 0) return null;
+
+  const nextIndex = points.findIndex(point => point.time > time);
+  if (nextIndex === 0) {
+    return { latitude: points[0].latitude, longitude: points[0].longitude, index: 0 };
+  }
+  if (nextIndex === -1) {
+    const last = points[points.length - 1];
+    return { latitude: last.latitude, longitude: last.longitude, index: points.length - 1 };
+  }
+
+  const prev = points[nextIndex - 1];
+  const next = points[nextIndex];
+  const ratio = (time - prev.time) / (next.time - prev.time);
+
+  return {
+    latitude: prev.latitude + (next.latitude - prev.latitude) * ratio,
+    longitude: prev.longitude + (next.longitude - prev.longitude) * ratio,
+    index: nextIndex - 1,
+  };
+};
+
+// Great-circle distance between two { latitude, longitude } points
+export const distanceMeters = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+};
+
+export const formatDistance = (meters) => {
+  if (meters === null || meters === undefined) return 'N/A';
+  if (meters < 1000) return `${Math.round(meters)} m`;
+  return `${(meters / 1000).toFixed(1)} km`;
+};
+
+// Ray casting; fine for the city-scale polygons we draw
+export const isPointInPolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+      point.longitude < (b.longitude - a.longitude) * (point.latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
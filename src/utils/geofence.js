@@ -0,0 +1,49 @@
+import { distanceMeters, isPointInPolygon } from './geo';
+
+export const ZONE_CATEGORIES = {
+  depot: { label: 'Depot', color: '#3b82f6' },
+  customer: { label: 'Customer Site', color: '#10b981' },
+  restricted: { label: 'Restricted Area', color: '#ef4444' },
+};
+
+// A driver inside a zone for this long produces a dwell event
+export const DWELL_THRESHOLD_MS = 5 * 60 * 1000;
+
+// Zones are { shape: 'polygon', points: [{ latitude, longitude }] }
+// or { shape: 'circle', center: { latitude, longitude }, radius } (meters)
+export const isInsideZone = (point, zone) => {
+  if (zone.shape === 'circle') {
+    return distanceMeters(point, zone.center) <= zone.radius;
+  }
+  return isPointInPolygon(point, zone.points || []);
+};
+
+// Walks a track (sorted ascending by `time`) through every zone and returns
+// enter / dwell / exit events, oldest first. Exit and dwell carry `duration` (ms).
+export const computeZoneEvents = (points, zones) => {
+  const events = [];
+
+  zones.forEach(zone => {
+    let enteredAt = null;
+    let dwellReported = false;
+
+    points.forEach(point => {
+      const inside = isInsideZone(point, zone);
+      const base = { zoneId: zone.id, zoneName: zone.name, category: zone.category, time: point.time };
+
+      if (inside && enteredAt === null) {
+        enteredAt = point.time;
+        dwellReported = false;
+        events.push({ ...base, type: 'enter' });
+      } else if (inside && !dwellReported && point.time - enteredAt >= DWELL_THRESHOLD_MS) {
+        dwellReported = true;
+        events.push({ ...base, type: 'dwell', duration: point.time - enteredAt });
+      } else if (!inside && enteredAt !== null) {
+        events.push({ ...base, type: 'exit', duration: point.time - enteredAt });
+        enteredAt = null;
+      }
+    });
+  });
+
+  return events.sort((a, b) => a.time - b.time);
+};
@@ -0,0 +1,44 @@
+// Per-item outcome recorded when a completed delivery is approved. Each line
+// is { outcome, acceptedQuantity, notes } for the item at the same index.
+export const ITEM_OUTCOMES = {
+  delivered: { label: 'Delivered', badgeClass: 'bg-green-100 text-green-800' },
+  short: { label: 'Short', badgeClass: 'bg-yellow-100 text-yellow-800' },
+  damaged: { label: 'Damaged', badgeClass: 'bg-red-100 text-red-800' },
+};
+
+const quantityOf = (item) => Number(item.quantity) || 0;
+
+// Every item fully delivered, the starting point of the approval form
+export const initialAcceptance = (items) => {
+  return (items || []).map(item => ({ outcome: 'delivered', acceptedQuantity: quantityOf(item), notes: '' }));
+};
+
+// Returns an error message for the first invalid line, or null
+export const validateAcceptance = (items, lines) => {
+  for (let i = 0; i < lines.length; i++) {
+    const { outcome, acceptedQuantity, notes } = lines[i];
+    const quantity = quantityOf(items[i]);
+    if (!Number.isFinite(acceptedQuantity) || acceptedQuantity < 0 || acceptedQuantity > quantity) {
+      return `"${items[i].name}": accepted quantity must be between 0 and ${quantity}`;
+    }
+    if (outcome === 'delivered' && acceptedQuantity < quantity) {
+      return `"${items[i].name}" is marked delivered but only ${acceptedQuantity} of ${quantity} was accepted`;
+    }
+    if (outcome !== 'delivered' && acceptedQuantity === quantity) {
+      return `"${items[i].name}" is marked ${ITEM_OUTCOMES[outcome].label.toLowerCase()} but the full quantity was accepted`;
+    }
+    if (outcome === 'damaged' && !notes.trim()) {
+      return `Please describe the damage to "${items[i].name}"`;
+    }
+  }
+  return null;
+};
+
+// Items with their recorded outcome, and the undelivered remainder to send again
+export const summarizeAcceptance = (items, lines) => {
+  const accepted = (items || []).map((item, index) => ({ ...item, ...lines[index] }));
+  const remainder = (items || [])
+    .map((item, index) => ({ ...item, quantity: String(quantityOf(item) - lines[index].acceptedQuantity) }))
+    .filter(item => Number(item.quantity) > 0);
+  return { accepted, remainder, partial: remainder.length > 0 };
+};
@@ -0,0 +1,108 @@
+// Item weights/dimensions, delivery load totals and vehicle capacity checks.
+// Items are { name, quantity, unit, weightKg, lengthCm, widthCm, heightCm };
+// weight and dimensions are per unit. Older items only have name and quantity.
+
+export const ITEM_UNITS = ['pcs', 'box', 'pack', 'bag', 'crate', 'pallet'];
+
+// Loads at or above this share of capacity get a warning
+export const CAPACITY_WARNING_RATIO = 0.9;
+
+const positive = (value) => {
+  const number = Number(value);
+  return number > 0 ? number : null;
+};
+
+// A quantity that isn't a positive number (such as "10 boxes" on older items)
+// makes the item unmeasured rather than weightless
+export const itemWeightKg = (item) => {
+  const weight = positive(item.weightKg);
+  const quantity = positive(item.quantity);
+  return weight === null || quantity === null ? null : weight * quantity;
+};
+
+export const itemVolumeM3 = (item) => {
+  const [length, width, height, quantity] = [item.lengthCm, item.widthCm, item.heightCm, item.quantity].map(positive);
+  if (length === null || width === null || height === null || quantity === null) return null;
+  return (length * width * height / 1e6) * quantity;
+};
+
+// Totals over every item of `deliveries`; `unmeasured` counts items missing a
+// weight or a numeric quantity
+export const totalLoad = (deliveries) => {
+  return deliveries.reduce((load, delivery) => {
+    (delivery.items || []).forEach(item => {
+      const weight = itemWeightKg(item);
+      const volume = itemVolumeM3(item);
+      load.weightKg += weight || 0;
+      load.volumeM3 += volume || 0;
+      if (weight === null) load.unmeasured++;
+    });
+    return load;
+  }, { weightKg: 0, volumeM3: 0, unmeasured: 0 });
+};
+
+export const deliveryLoad = (delivery) => totalLoad([delivery]);
+
+// Capacity of a vehicle; null limits (or no vehicle) are not checked
+export const getVehicleCapacity = (vehicle) => ({
+  weightKg: positive(vehicle?.capacityKg),
+  volumeM3: positive(vehicle?.capacityM3),
+});
+
+// Capacity to check a driver's load against: their vehicle's, or for a driver
+// without one the vehicleCapacityKg/M3 kept on the driver record itself
+export const getDriverCapacity = (driver, vehicle) => {
+  if (vehicle) return getVehicleCapacity(vehicle);
+  return {
+    weightKg: positive(driver?.vehicleCapacityKg),
+    volumeM3: positive(driver?.vehicleCapacityM3),
+  };
+};
+
+// Status of one limit used to `ratio` of its capacity
+export const ratioStatus = (ratio) => {
+  if (ratio > 1) return 'over';
+  return ratio >= CAPACITY_WARNING_RATIO ? 'warning' : 'ok';
+};
+
+// 'over' when a limit is exceeded, 'warning' when close to one, otherwise 'ok'
+// ('unknown' when the vehicle has no limits). Ratios are null for unset limits.
+export const checkCapacity = (load, capacity) => {
+  const weightRatio = capacity.weightKg ? load.weightKg / capacity.weightKg : null;
+  const volumeRatio = capacity.volumeM3 ? load.volumeM3 / capacity.volumeM3 : null;
+  const ratios = [weightRatio, volumeRatio].filter(ratio => ratio !== null);
+
+  const status = ratios.length > 0 ? ratioStatus(Math.max(...ratios)) : 'unknown';
+  return { status, weightRatio, volumeRatio };
+};
+
+export const formatWeight = (kg) => {
+  return kg >= 1000 ? `${(kg / 1000).toFixed(2)} t` : `${Math.round(kg * 10) / 10} kg`;
+};
+
+export const formatVolume = (m3) => `${(Math.round(m3 * 100) / 100).toFixed(2)} m³`;
+
+// "Rice × 2 bag" — the unit is left out for plain pieces
+export const formatItemQuantity = (item) => {
+  const unit = item.unit && item.unit !== 'pcs' ? ` ${item.unit}` : '';
+  return `${item.quantity}${unit}`;
+};
+
+export const formatItem = (item) => `${item.name} × ${formatItemQuantity(item)}`;
+
+// Per-unit weight and dimensions, e.g. "2.5 kg • 40×30×20 cm"
+export const formatItemSpecs = (item) => {
+  const specs = [];
+  if (positive(item.weightKg)) specs.push(`${item.weightKg} kg`);
+  if ([item.lengthCm, item.widthCm, item.heightCm].every(positive)) {
+    specs.push(`${item.lengthCm}×${item.widthCm}×${item.heightCm} cm`);
+  }
+  return specs.join(' • ');
+};
+
+// "45 kg • 0.12 m³", leaving out a volume of zero
+export const formatLoad = (load) => {
+  const parts = [formatWeight(load.weightKg)];
+  if (load.volumeM3 > 0) parts.push(formatVolume(load.volumeM3));
+  return parts.join(' • ');
+};
@@ -0,0 +1,25 @@
+import { hasCoordinates } from './geo';
+import { toMillis } from './time';
+
+// Keeps the logs recorded on `date` (a yyyy-mm-dd string)
+export const filterLocationsByDate = (logs, date) => {
+  if (!date || !logs) return logs;
+  
+  const selectedDateObj = new Date(date);
+  selectedDateObj.setHours(0, 0, 0, 0);
+  const nextDay = new Date(selectedDateObj);
+  nextDay.setDate(nextDay.getDate() + 1);
+
+  return logs.filter(log => {
+    const logTime = toMillis(log.timestamp);
+    return logTime >= selectedDateObj.getTime() && logTime < nextDay.getTime();
+  });
+};
+
+// Logs oldest first with a parsed `time` (ms), dropping unusable entries
+export const toTrackPoints = (logs) => {
+  return (logs || [])
+    .map(log => ({ ...log, time: toMillis(log.timestamp) }))
+    .filter(point => point.time !== null && hasCoordinates(point))
+    .sort((a, b) => a.time - b.time);
+};
@@ -0,0 +1,49 @@
+import { toMillis } from './time';
+
+// Highest first; `rank` is the sort key
+export const PRIORITIES = {
+  urgent: { label: 'Urgent', rank: 0, badgeClass: 'bg-red-600 text-white' },
+  high: { label: 'High', rank: 1, badgeClass: 'bg-orange-100 text-orange-800' },
+  normal: { label: 'Normal', rank: 2, badgeClass: 'bg-gray-100 text-gray-700' },
+  low: { label: 'Low', rank: 3, badgeClass: 'bg-slate-100 text-slate-500' },
+};
+
+export const PRIORITY_ORDER = Object.keys(PRIORITIES);
+
+// Hours from creation to completion, used until an admin saves their own
+export const DEFAULT_SLA_HOURS = {
+  urgent: 2,
+  high: 8,
+  normal: 24,
+  low: 72,
+};
+
+// Deliveries created before priorities existed count as normal
+export const getPriority = (delivery) => {
+  return PRIORITIES[delivery?.priority] ? delivery.priority : 'normal';
+};
+
+// Highest priority first, oldest first within a priority
+export const sortByPriority = (deliveries) => {
+  return [...deliveries].sort((a, b) => {
+    const rankDiff = PRIORITIES[getPriority(a)].rank - PRIORITIES[getPriority(b)].rank;
+    if (rankDiff !== 0) return rankDiff;
+    return (toMillis(a.createdAt) ?? 0) - (toMillis(b.createdAt) ?? 0);
+  });
+};
+
+// SLA progress at `now`: 'met', 'breached' (finished late or still open past target),
+// 'running' or 'none' (failed, cancelled or no creation time). Times are in ms.
+export const getSlaState = (delivery, slaHours, now) => {
+  const created = toMillis(delivery.createdAt);
+  if (created === null || ['failed', 'cancelled'].includes(delivery.status)) return { state: 'none' };
+
+  const target = (slaHours[getPriority(delivery)] ?? DEFAULT_SLA_HOURS[getPriority(delivery)]) * 60 * 60 * 1000;
+  const finished = toMillis(delivery.completedAt) ?? (delivery.status === 'approved' ? toMillis(delivery.approvedAt) : null);
+  const elapsed = (finished ?? now) - created;
+
+  if (finished !== null) {
+    return { state: elapsed > target ? 'breached' : 'met', elapsed, target, open: false };
+  }
+  return { state: elapsed > target ? 'breached' : 'running', elapsed, target, open: true };
+};
@@ -0,0 +1,63 @@
+import { locationsAPI } from '../services/api';
+import { distanceMeters, hasCoordinates, formatDistance } from './geo';
+import { toMillis } from './time';
+
+// Completions further than this from the destination are flagged for review
+export const POD_DISTANCE_THRESHOLD_METERS = 300;
+// Only trust location logs this close to the completion time
+export const POD_TIME_WINDOW_MS = 15 * 60 * 1000;
+
+// Compares the driver's logged position around `completedAt` with the destination.
+// Returns { status: 'ok' | 'far' | 'unknown', distance, log, timeOffset, reason }.
+export const checkCompletionLocation = (delivery, logs) => {
+  const completedAt = toMillis(delivery.completedAt);
+  if (!completedAt) {
+    return { status: 'unknown', reason: 'No completion time recorded' };
+  }
+  if (!hasCoordinates(delivery)) {
+    return { status: 'unknown', reason: 'Destination has no map coordinates' };
+  }
+
+  let nearest = null;
+  (logs || []).forEach(log => {
+    const time = toMillis(log.timestamp);
+    if (time === null || !hasCoordinates(log)) return;
+    const offset = Math.abs(time - completedAt);
+    if (offset <= POD_TIME_WINDOW_MS && (!nearest || offset < Math.abs(nearest.timeOffset))) {
+      nearest = { log, timeOffset: time - completedAt };
+    }
+  });
+
+  if (!nearest) {
+    return { status: 'unknown', reason: 'No driver location logged within 15 minutes of completion' };
+  }
+
+  const distance = distanceMeters(nearest.log, delivery);
+  return {
+    status: distance > POD_DISTANCE_THRESHOLD_METERS ? 'far' : 'ok',
+    distance,
+    log: nearest.log,
+    timeOffset: nearest.timeOffset,
+  };
+};
+
+// checkCompletionLocation against the assigned driver's logs; never throws
+export const fetchCompletionCheck = async (delivery) => {
+  if (!delivery.assignedDriverId) {
+    return { status: 'unknown', reason: 'No driver is assigned to this delivery' };
+  }
+  try {
+    const response = await locationsAPI.getDriverLocation(delivery.assignedDriverId);
+    return checkCompletionLocation(delivery, response.data?.logs);
+  } catch (err) {
+    console.error('Error loading driver locations:', err);
+    return { status: 'unknown', reason: 'Could not load driver location history' };
+  }
+};
+
+// Warning shown when approving a delivery completed far from its destination
+export const describeLocationWarning = (check) => {
+  return check?.status === 'far'
+    ? `The driver was ${formatDistance(check.distance)} from the destination when completing.`
+    : null;
+};
@@ -0,0 +1,65 @@
+// Recurrence rules for delivery templates. Dates are yyyy-mm-dd strings in local time.
+
+export const RECURRENCE_TYPES = {
+  daily: 'Every day',
+  weekdays: 'Every weekday (Mon–Fri)',
+  weekly: 'Weekly on chosen days',
+};
+
+// Indexed like Date#getDay
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// How far ahead deliveries are generated from active templates
+export const GENERATION_HORIZON_DAYS = 7;
+
+export const toDateKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const fromDateKey = (key) => new Date(`${key}T00:00`);
+
+export const occursOn = (template, date) => {
+  const key = toDateKey(date);
+  if (template.startDate && key < template.startDate) return false;
+  if (template.endDate && key > template.endDate) return false;
+
+  const day = date.getDay();
+  switch (template.recurrence?.type) {
+    case 'daily': return true;
+    case 'weekdays': return day >= 1 && day <= 5;
+    case 'weekly': return (template.recurrence.days || []).includes(day);
+    default: return false;
+  }
+};
+
+// Dates the template falls on from `fromKey` for the next `days` days, as date keys
+export const upcomingDates = (template, fromKey, days = GENERATION_HORIZON_DAYS) => {
+  const dates = [];
+  const date = fromDateKey(fromKey);
+  for (let i = 0; i < days; i++) {
+    if (occursOn(template, date)) dates.push(toDateKey(date));
+    date.setDate(date.getDate() + 1);
+  }
+  return dates;
+};
+
+export const describeRecurrence = (template) => {
+  const { type, days = [] } = template.recurrence || {};
+  if (type === 'weekly') {
+    return days.length > 0
+      ? `Weekly on ${[...days].sort().map(day => WEEKDAY_LABELS[day]).join(', ')}`
+      : 'Weekly (no days chosen)';
+  }
+  return RECURRENCE_TYPES[type] || 'No recurrence';
+};
+
+// Checks a template form; returns an error message or null
+export const validateRecurrence = ({ recurrence, startDate, endDate }) => {
+  if (!RECURRENCE_TYPES[recurrence?.type]) return 'Please choose how often the delivery repeats';
+  if (recurrence.type === 'weekly' && (recurrence.days || []).length === 0) return 'Please choose at least one day of the week';
+  if (!startDate) return 'Please choose a start date';
+  if (endDate && endDate < startDate) return 'The end date must be after the start date';
+  return null;
+};
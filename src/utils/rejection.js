@@ -0,0 +1,36 @@
+// Rejections of completed deliveries. Every rejection is kept in the
+// delivery's `rejections` array; `rejectionReason` holds the latest one only.
+
+export const DEFAULT_REJECTION_REASONS = [
+  { code: 'photo_unclear', label: 'Photo unclear or missing' },
+  { code: 'wrong_location', label: 'Delivered to the wrong location' },
+  { code: 'items_missing', label: 'Items missing from photo' },
+  { code: 'signature_missing', label: 'Signature or receipt missing' },
+  { code: 'damaged', label: 'Goods damaged' },
+  { code: 'other', label: 'Other' },
+];
+
+// Free text is required with this code
+export const OTHER_REASON_CODE = 'other';
+
+export const toReasonCode = (label) => {
+  return label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+};
+
+export const getReasonLabel = (reasons, code) => {
+  return reasons.find(reason => reason.code === code)?.label || code;
+};
+
+export const describeRejection = (rejection) => {
+  return rejection.note ? `${rejection.reasonLabel}: ${rejection.note}` : rejection.reasonLabel;
+};
+
+// All rejections of a delivery, oldest first. Deliveries rejected before the
+// history was kept only have the last reason.
+export const getRejections = (delivery) => {
+  if (delivery.rejections?.length) return delivery.rejections;
+  if (delivery.rejectionReason) {
+    return [{ reasonLabel: delivery.rejectionReason, note: '', photos: [], rejectedAt: null }];
+  }
+  return [];
+};
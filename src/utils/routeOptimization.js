@@ -0,0 +1,85 @@
+import { distanceMeters } from './geo';
+
+// Saved route order first, then anything not yet placed in a route
+export const sortByRouteOrder = (deliveries) => {
+  return [...deliveries].sort((a, b) => (a.routeOrder ?? Infinity) - (b.routeOrder ?? Infinity));
+};
+
+// Total length of visiting `stops` in order, starting from `start`.
+// Without a start position the route begins at the first stop.
+export const routeDistance = (start, stops) => {
+  return stops.reduce((total, stop, index) => {
+    const prev = index === 0 ? start : stops[index - 1];
+    return prev ? total + distanceMeters(prev, stop) : total;
+  }, 0);
+};
+
+const nearestNeighbourOrder = (start, stops) => {
+  const remaining = [...stops];
+  const order = [];
+  let current = start || remaining.shift();
+  if (!start) order.push(current);
+
+  while (remaining.length > 0) {
+    let nearestIndex = 0;
+    remaining.forEach((stop, index) => {
+      if (distanceMeters(current, stop) < distanceMeters(current, remaining[nearestIndex])) {
+        nearestIndex = index;
+      }
+    });
+    current = remaining.splice(nearestIndex, 1)[0];
+    order.push(current);
+  }
+
+  return order;
+};
+
+// Improves the route with 2-opt (reverse a segment) and relocate (move one stop)
+// moves until neither shortens it. The start stays fixed and the route is open.
+const improveRoute = (start, order, maxPasses = 50) => {
+  const first = start ? 0 : 1;
+  let best = order;
+  let bestDistance = routeDistance(start, best);
+
+  const tryCandidate = (candidate) => {
+    const candidateDistance = routeDistance(start, candidate);
+    if (candidateDistance < bestDistance - 1) {
+      best = candidate;
+      bestDistance = candidateDistance;
+      return true;
+    }
+    return false;
+  };
+
+  for (let pass = 0; pass < maxPasses; pass++) {
+    let improved = false;
+
+    for (let i = first; i < best.length - 1; i++) {
+      for (let k = i + 1; k < best.length; k++) {
+        const reversed = [...best.slice(0, i), ...best.slice(i, k + 1).reverse(), ...best.slice(k + 1)];
+        improved = tryCandidate(reversed) || improved;
+      }
+    }
+
+    for (let i = first; i < best.length; i++) {
+      for (let j = first; j < best.length; j++) {
+        if (i === j) continue;
+        const moved = [...best];
+        const [stop] = moved.splice(i, 1);
+        moved.splice(j, 0, stop);
+        improved = tryCandidate(moved) || improved;
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return { stops: best, distance: bestDistance };
+};
+
+// Visiting order for `stops` ({ latitude, longitude, ... }) from `start`
+// (the driver's position, or null): nearest neighbour, then local improvement.
+export const optimizeRoute = (start, stops) => {
+  if (stops.length === 0) return { stops: [], distance: 0 };
+  return improveRoute(start, nearestNeighbourOrder(start, stops));
+};
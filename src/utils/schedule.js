@@ -0,0 +1,77 @@
+import { formatDuration, toMillis } from './time';
+
+// Open deliveries due within this long are at risk of running late
+export const AT_RISK_WINDOW_MS = 60 * 60 * 1000;
+
+// Statuses where the delivery has arrived
+const DELIVERED_STATUSES = ['completed', 'approved'];
+// Statuses where the delivery is not expected to arrive (unless a failed one is retried)
+const CLOSED_STATUSES = ['failed', 'cancelled'];
+
+// `scheduledDate` is yyyy-mm-dd and the optional window is HH:MM, all in local time
+const toLocalTime = (date, time) => {
+  if (!date) return null;
+  const millis = new Date(`${date}T${time || '00:00'}`).getTime();
+  return Number.isNaN(millis) ? null : millis;
+};
+
+// End of the delivery window, or the end of the scheduled day without one
+export const getDueTime = (delivery) => {
+  if (!delivery?.scheduledDate) return null;
+  if (delivery.windowEnd) return toLocalTime(delivery.scheduledDate, delivery.windowEnd);
+  const startOfDay = toLocalTime(delivery.scheduledDate);
+  return startOfDay === null ? null : startOfDay + 24 * 60 * 60 * 1000 - 1;
+};
+
+export const formatSchedule = (delivery) => {
+  if (!delivery?.scheduledDate) return 'Not scheduled';
+  const date = new Date(`${delivery.scheduledDate}T00:00`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+  if (delivery.windowStart && delivery.windowEnd) return `${date}, ${delivery.windowStart}–${delivery.windowEnd}`;
+  if (delivery.windowEnd) return `${date}, by ${delivery.windowEnd}`;
+  if (delivery.windowStart) return `${date}, from ${delivery.windowStart}`;
+  return date;
+};
+
+// Whether a delivered, scheduled delivery was completed by its due time.
+// Without a completion time there is nothing to hold against it.
+export const isCompletedOnTime = (delivery) => {
+  const completedAt = toMillis(delivery.completedAt);
+  return completedAt === null || completedAt <= getDueTime(delivery);
+};
+
+// Where a delivery stands against its schedule at `now`: 'unscheduled',
+// 'done-on-time', 'done-late', 'closed' (failed or cancelled), 'overdue',
+// 'at-risk' or 'on-track', with `remaining` ms until due for open deliveries.
+// An ETA past the due time also makes it at risk.
+export const getScheduleState = (delivery, now, eta = null) => {
+  const dueTime = getDueTime(delivery);
+  if (dueTime === null) return { state: 'unscheduled', dueTime: null, remaining: null };
+  if (DELIVERED_STATUSES.includes(delivery.status)) {
+    return { state: isCompletedOnTime(delivery) ? 'done-on-time' : 'done-late', dueTime, remaining: null };
+  }
+  if (CLOSED_STATUSES.includes(delivery.status)) return { state: 'closed', dueTime, remaining: null };
+
+  const remaining = dueTime - now;
+  if (remaining < 0) return { state: 'overdue', dueTime, remaining };
+  if (remaining <= AT_RISK_WINDOW_MS || (eta && eta.eta > dueTime)) {
+    return { state: 'at-risk', dueTime, remaining };
+  }
+  return { state: 'on-track', dueTime, remaining };
+};
+
+export const formatCountdown = (remaining) => {
+  if (remaining < 0) return `Overdue by ${formatDuration(-remaining)}`;
+  if (remaining >= 24 * 60 * 60 * 1000) return `Due in ${Math.floor(remaining / (24 * 60 * 60 * 1000))}d`;
+  return `Due in ${formatDuration(remaining)}`;
+};
+
+// Checks the form's schedule fields; returns an error message or null
+export const validateSchedule = ({ scheduledDate, windowStart, windowEnd }) => {
+  if ((windowStart || windowEnd) && !scheduledDate) return 'Please pick a scheduled date for the time window';
+  if (windowStart && windowEnd && windowEnd <= windowStart) return 'The time window must end after it starts';
+  return null;
+};
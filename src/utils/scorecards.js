@@ -0,0 +1,111 @@
+import { toMillis, formatDuration } from './time';
+import { getDueTime, isCompletedOnTime } from './schedule';
+import { computeTripStats } from './tripAnalytics';
+import { formatDistance } from './geo';
+import { toDateKey } from './recurrence';
+
+// Start (inclusive) and end (exclusive) in ms of the local days `fromKey`..`toKey`
+export const periodRange = (fromKey, toKey) => {
+  const start = new Date(`${fromKey}T00:00`);
+  const end = new Date(`${toKey}T00:00`);
+  end.setDate(end.getDate() + 1);
+  return { start: start.getTime(), end: end.getTime() };
+};
+
+// { fromDate, toDate } for the `days` days up to and including `millis`
+export const lastDays = (days, millis) => {
+  const from = new Date(millis);
+  from.setDate(from.getDate() - (days - 1));
+  return { fromDate: toDateKey(from), toDate: toDateKey(new Date(millis)) };
+};
+
+const inRange = (timestamp, range) => {
+  const millis = toMillis(timestamp);
+  return millis !== null && millis >= range.start && millis < range.end;
+};
+
+const average = (values) => {
+  return values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length;
+};
+
+// One driver's performance over `range`. Deliveries count towards the driver
+// they were completed by; rejections carry their own driverId because a
+// rejected delivery may since have moved to someone else. Rejections from
+// before that was recorded can't be attributed and are left out.
+export const computeScorecard = (driver, deliveries, points, range) => {
+  const completed = deliveries.filter(d =>
+    d.assignedDriverId === driver.id &&
+    ['completed', 'approved'].includes(d.status) &&
+    inRange(d.completedAt, range)
+  );
+  const approved = deliveries.filter(d =>
+    d.assignedDriverId === driver.id && d.status === 'approved' && inRange(d.approvedAt, range)
+  ).length;
+
+  const rejections = deliveries.flatMap(d => d.rejections || [])
+    .filter(rejection => rejection.driverId === driver.id && inRange(rejection.rejectedAt, range));
+  const reasonCounts = {};
+  rejections.forEach(rejection => {
+    const key = rejection.reasonCode || rejection.reasonLabel;
+    reasonCounts[key] = reasonCounts[key] || { label: rejection.reasonLabel || key, count: 0 };
+    reasonCounts[key].count += 1;
+  });
+
+  const completionTimes = completed
+    .map(d => toMillis(d.completedAt) - toMillis(d.assignedAt))
+    .filter(duration => Number.isFinite(duration) && duration >= 0);
+
+  const scheduled = completed.filter(d => getDueTime(d) !== null);
+  const onTime = scheduled.filter(isCompletedOnTime).length;
+
+  const reviewed = approved + rejections.length;
+  const periodPoints = points.filter(point => point.time >= range.start && point.time < range.end);
+
+  return {
+    completed: completed.length,
+    approved,
+    rejected: rejections.length,
+    approvalRate: reviewed === 0 ? null : approved / reviewed,
+    rejectionReasons: Object.values(reasonCounts).sort((a, b) => b.count - a.count),
+    avgCompletionTime: average(completionTimes),
+    scheduled: scheduled.length,
+    onTime,
+    onTimeRate: scheduled.length === 0 ? null : onTime / scheduled.length,
+    distance: computeTripStats(periodPoints).distance,
+  };
+};
+
+export const formatRate = (rate) => (rate === null ? '-' : `${Math.round(rate * 100)}%`);
+
+// Metrics drivers are ranked on. `better` says which direction wins.
+export const RANKING_METRICS = {
+  completed: { label: 'Completed', better: 'higher', format: value => String(value) },
+  approvalRate: { label: 'Approval Rate', better: 'higher', format: formatRate },
+  rejected: { label: 'Rejections', better: 'lower', format: value => String(value) },
+  avgCompletionTime: { label: 'Avg. Completion Time', better: 'lower', format: value => (value === null ? '-' : formatDuration(value)) },
+  onTimeRate: { label: 'On-time Rate', better: 'higher', format: formatRate },
+  distance: { label: 'Distance', better: 'higher', format: formatDistance },
+};
+
+// Adds `ranks` ({ [metric]: 1-based rank or null }) to each row. Drivers
+// without a value for a metric (nothing reviewed, nothing scheduled...) are
+// not ranked on it; ties share a rank.
+export const rankScorecards = (rows) => {
+  const ranks = rows.map(() => ({}));
+
+  Object.entries(RANKING_METRICS).forEach(([metric, { better }]) => {
+    const values = rows.map(row => row.scorecard[metric]);
+    const ranked = values.filter(value => value !== null)
+      .sort((a, b) => (better === 'higher' ? b - a : a - b));
+    values.forEach((value, i) => {
+      ranks[i][metric] = value === null ? null : ranked.indexOf(value) + 1;
+    });
+  });
+
+  return rows.map((row, i) => ({ ...row, ranks: ranks[i] }));
+};
+
+// Sorts ranked rows by one metric, unranked drivers last
+export const sortByRank = (rows, metric) => {
+  return [...rows].sort((a, b) => (a.ranks[metric] ?? Infinity) - (b.ranks[metric] ?? Infinity));
+};
@@ -0,0 +1,95 @@
+import { WEEKDAY_LABELS, toDateKey } from './recurrence';
+
+// Driver schedules: { driverId, weekly, timeOff }. `weekly` is indexed like
+// Date#getDay with { start, end } ("HH:mm") or null for a day off; a shift
+// ending before it starts runs past midnight. `timeOff` is a list of
+// { startDate, endDate, type, note } with inclusive yyyy-mm-dd dates.
+
+export const TIME_OFF_TYPES = {
+  leave: 'Leave',
+  day_off: 'Day off',
+  sick: 'Sick',
+};
+
+export const DEFAULT_SHIFT = { start: '08:00', end: '17:00' };
+
+export const emptyWeekly = () => WEEKDAY_LABELS.map(() => null);
+
+export const getDriverSchedule = (driver, schedules) => {
+  return schedules.find(schedule => String(schedule.driverId) === String(driver?.id)) || null;
+};
+
+export const getTimeOff = (schedule, dateKey) => {
+  return (schedule?.timeOff || []).find(entry => entry.startDate <= dateKey && dateKey <= entry.endDate) || null;
+};
+
+// The shift worked on `date` (time of day ignored), or null when off or on leave
+export const getShiftForDate = (schedule, date) => {
+  if (getTimeOff(schedule, toDateKey(date))) return null;
+  return schedule?.weekly?.[date.getDay()] || null;
+};
+
+const atTime = (date, time, dayOffset = 0) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const result = new Date(date);
+  result.setDate(result.getDate() + dayOffset);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+};
+
+// Whether `schedule` has the driver working at the moment `millis`. A shift
+// that started yesterday and runs past midnight counts too.
+export const isOnShift = (schedule, millis) => {
+  const now = new Date(millis);
+  const yesterday = new Date(millis);
+  yesterday.setDate(yesterday.getDate() - 1);
+
+  return [[now, 0], [yesterday, -1]].some(([day, offset]) => {
+    const shift = getShiftForDate(schedule, day);
+    if (!shift) return false;
+    const start = atTime(now, shift.start, offset);
+    const end = atTime(now, shift.end, shift.end <= shift.start ? offset + 1 : offset);
+    return start.getTime() <= millis && millis < end.getTime();
+  });
+};
+
+// 'unscheduled' (no schedule set up, treated as available), 'on-shift',
+// 'off-shift' or 'time-off', with a label for display
+export const getAvailability = (schedule, millis) => {
+  if (!schedule) return { state: 'unscheduled', label: 'No schedule' };
+
+  const timeOff = getTimeOff(schedule, toDateKey(new Date(millis)));
+  if (timeOff) {
+    return { state: 'time-off', label: `${TIME_OFF_TYPES[timeOff.type] || 'Time off'} until ${timeOff.endDate}`, timeOff };
+  }
+  return isOnShift(schedule, millis)
+    ? { state: 'on-shift', label: 'On shift' }
+    : { state: 'off-shift', label: 'Off shift' };
+};
+
+export const isAvailable = (availability) => {
+  return availability.state === 'on-shift' || availability.state === 'unscheduled';
+};
+
+export const formatShift = (shift) => (shift ? `${shift.start}–${shift.end}` : 'Off');
+
+// Warnings about giving `deliveries` to a driver with `schedule`: unavailable
+// right now, or not working on a delivery's scheduled date
+export const assignmentWarnings = (schedule, deliveries, millis) => {
+  if (!schedule) return [];
+  const warnings = [];
+
+  const availability = getAvailability(schedule, millis);
+  if (!isAvailable(availability)) warnings.push(`Currently ${availability.label.toLowerCase()}`);
+
+  deliveries.filter(delivery => delivery.scheduledDate).forEach(delivery => {
+    const date = new Date(`${delivery.scheduledDate}T00:00`);
+    if (!getShiftForDate(schedule, date)) {
+      const timeOff = getTimeOff(schedule, delivery.scheduledDate);
+      const reason = timeOff ? (TIME_OFF_TYPES[timeOff.type] || 'time off').toLowerCase() : 'not working';
+      warnings.push(`"${delivery.title}" is scheduled for ${delivery.scheduledDate} (${reason})`);
+    }
+  });
+
+  return warnings;
+};
@@ -0,0 +1,94 @@
+import { deliveriesAPI, templatesAPI } from '../services/api';
+import { recordDeliveryEvent } from './deliveryHistory';
+import { upcomingDates, toDateKey, GENERATION_HORIZON_DAYS } from './recurrence';
+import { canAssignDriver } from './driverStatus';
+
+// Template fields taken from an existing delivery; the recurrence is chosen separately
+export const templateFromDelivery = (delivery) => ({
+  title: delivery.title || '',
+  description: delivery.description || '',
+  destination: delivery.destination || '',
+  latitude: delivery.latitude ?? null,
+  longitude: delivery.longitude ?? null,
+  items: delivery.items || [],
+  priority: delivery.priority || 'normal',
+  windowStart: delivery.windowStart || '',
+  windowEnd: delivery.windowEnd || '',
+});
+
+// Dates in the generation horizon that still need a delivery from this
+// template: after its `lastGeneratedDate` (so deliveries an admin deleted
+// aren't recreated) and without an existing delivery.
+export const missingDates = (template, deliveries, fromKey) => {
+  const existing = new Set(
+    deliveries
+      .filter(delivery => String(delivery.templateId) === String(template.id))
+      .map(delivery => delivery.scheduledDate)
+  );
+  return upcomingDates(template, fromKey, GENERATION_HORIZON_DAYS)
+    .filter(date => !template.lastGeneratedDate || date > template.lastGeneratedDate)
+    .filter(date => !existing.has(date));
+};
+
+// Creates the pending deliveries active templates are missing for the next few
+// days, assigning each to the template's default driver when it has one. The
+// driver is looked up in `drivers`; one who isn't there or can't take
+// deliveries (suspended, terminated or with an expired licence) is skipped and
+// the delivery left pending. Templates and deliveries are reloaded first so a
+// stale page can't create duplicates, and each template's `lastGeneratedDate`
+// is moved up to the last date handled without a failure. Returns
+// { created, failed } counts; individual failures are logged.
+export const generateTemplateDeliveries = async (templates, drivers) => {
+  const [templatesRes, deliveriesRes] = await Promise.all([templatesAPI.getAll(), deliveriesAPI.getAll()]);
+  const deliveries = deliveriesRes.data;
+  const today = toDateKey(new Date());
+  let created = 0;
+  let failed = 0;
+
+  for (const listed of templates) {
+    const template = templatesRes.data.find(t => String(t.id) === String(listed.id)) || listed;
+    if (template.status !== 'active') continue;
+
+    let firstFailure = null;
+    for (const scheduledDate of missingDates(template, deliveries, today)) {
+      try {
+        const response = await deliveriesAPI.create({
+          ...templateFromDelivery(template),
+          scheduledDate,
+          templateId: template.id,
+        });
+        const deliveryId = response.data?.id;
+        if (deliveryId) {
+          await recordDeliveryEvent(deliveryId, 'created', { source: 'template', templateId: template.id });
+          const defaultDriver = drivers.find(driver => String(driver.id) === String(template.defaultDriverId));
+          if (defaultDriver && canAssignDriver(defaultDriver, Date.now())) {
+            await deliveriesAPI.assignDriver(deliveryId, template.defaultDriverId);
+            await recordDeliveryEvent(deliveryId, 'assigned', {
+              driverId: template.defaultDriverId,
+              driverName: template.defaultDriverName || null,
+            });
+          }
+        }
+        created++;
+      } catch (error) {
+        console.error(`Error generating delivery for template ${template.id} on ${scheduledDate}:`, error);
+        failed++;
+        firstFailure = firstFailure || scheduledDate;
+      }
+    }
+
+    // Failed dates stay open so the next run tries them again
+    const handled = upcomingDates(template, today, GENERATION_HORIZON_DAYS)
+      .filter(date => !firstFailure || date < firstFailure);
+    const lastGeneratedDate = handled[handled.length - 1];
+    if (lastGeneratedDate && (!template.lastGeneratedDate || lastGeneratedDate > template.lastGeneratedDate)) {
+      try {
+        await templatesAPI.update(template.id, { ...template, lastGeneratedDate });
+      } catch (error) {
+        console.error(`Error recording generated dates for template ${template.id}:`, error);
+      }
+    }
+  }
+
+  return { created, failed };
+};
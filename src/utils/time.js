@@ -0,0 +1,19 @@
+// Timestamps arrive as Firestore Timestamps ({ _seconds }), milliseconds or date strings
+export const toMillis = (timestamp) => {
+  if (!timestamp) return null;
+  if (timestamp._seconds) return timestamp._seconds * 1000;
+  if (typeof timestamp === 'number') return timestamp;
+  const millis = new Date(timestamp).getTime();
+  return Number.isNaN(millis) ? null : millis;
+};
+
+export const toDate = (timestamp) => {
+  const millis = toMillis(timestamp);
+  return millis === null ? null : new Date(millis);
+};
+
+export const formatDuration = (millis) => {
+  const minutes = Math.round(millis / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
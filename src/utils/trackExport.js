@@ -0,0 +1,155 @@
+import { downloadFile } from './download';
+
+// Serializers for exporting driver tracks. Each track is
+// { driver, points, deliveryIds } where `points` come from toTrackPoints.
+
+export const TRACK_EXPORT_FORMATS = {
+  gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+};
+
+const escapeXml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// Our own GPX extension elements live in this namespace
+const GPX_EXTENSION_NS = 'urn:driver-admin:gpx:1';
+
+const isoTime = (point) => new Date(point.time).toISOString();
+
+const trackName = (track) => track.driver.fullname || track.driver.username || `Driver ${track.driver.id}`;
+
+export const toGeoJSON = (tracks) => {
+  const features = tracks.flatMap(track => {
+    const properties = {
+      driverId: track.driver.id,
+      driverName: trackName(track),
+      deliveryIds: track.deliveryIds,
+    };
+
+    const line = {
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: track.points.map(point => [point.longitude, point.latitude]),
+      },
+      properties: {
+        ...properties,
+        startTime: track.points.length > 0 ? isoTime(track.points[0]) : null,
+        endTime: track.points.length > 0 ? isoTime(track.points[track.points.length - 1]) : null,
+        // Parallel to the line coordinates
+        coordTimes: track.points.map(isoTime),
+        speeds: track.points.map(point => point.speed ?? null),
+      },
+    };
+
+    const points = track.points.map(point => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [point.longitude, point.latitude] },
+      properties: {
+        ...properties,
+        timestamp: isoTime(point),
+        speed: point.speed ?? null,
+        deliveryId: point.deliveryId ?? null,
+      },
+    }));
+
+    return [line, ...points];
+  });
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+};
+
+export const toGPX = (tracks) => {
+  const trackXml = tracks.map(track => {
+    const points = track.points.map(point => {
+      const extensions = [
+        point.speed != null ? `          <da:speed>${point.speed}</da:speed>` : null,
+        point.deliveryId ? `          <da:deliveryId>${escapeXml(point.deliveryId)}</da:deliveryId>` : null,
+      ].filter(Boolean);
+
+      return [
+        `      <trkpt lat="${point.latitude}" lon="${point.longitude}">`,
+        `        <time>${isoTime(point)}</time>`,
+        ...(extensions.length > 0 ? ['        <extensions>', ...extensions, '        </extensions>'] : []),
+        '      </trkpt>',
+      ].join('\n');
+    }).join('\n');
+
+    return [
+      '  <trk>',
+      `    <name>${escapeXml(trackName(track))}</name>`,
+      '    <extensions>',
+      `      <da:driverId>${escapeXml(track.driver.id)}</da:driverId>`,
+      `      <da:deliveryIds>${escapeXml(track.deliveryIds.join(','))}</da:deliveryIds>`,
+      '    </extensions>',
+      '    <trkseg>',
+      points,
+      '    </trkseg>',
+      '  </trk>',
+    ].join('\n');
+  }).join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="Driver Admin" xmlns="http://www.topografix.com/GPX/1/1" xmlns:da="${GPX_EXTENSION_NS}">`,
+    trackXml,
+    '</gpx>',
+  ].join('\n');
+};
+
+export const toKML = (tracks) => {
+  const placemarks = tracks.map(track => {
+    const whens = track.points.map(point => `        <when>${isoTime(point)}</when>`).join('\n');
+    const coords = track.points.map(point => `        <gx:coord>${point.longitude} ${point.latitude} 0</gx:coord>`).join('\n');
+    const speeds = track.points.map(point => `<gx:value>${point.speed ?? ''}</gx:value>`).join('');
+    const deliveryIds = track.points.map(point => `<gx:value>${escapeXml(point.deliveryId ?? '')}</gx:value>`).join('');
+
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(trackName(track))}</name>`,
+      '      <ExtendedData>',
+      `        <Data name="driverId"><value>${escapeXml(track.driver.id)}</value></Data>`,
+      `        <Data name="deliveryIds"><value>${escapeXml(track.deliveryIds.join(','))}</value></Data>`,
+      '      </ExtendedData>',
+      '      <gx:Track>',
+      whens,
+      coords,
+      '        <ExtendedData>',
+      '          <SchemaData schemaUrl="#trackPoint">',
+      `            <gx:SimpleArrayData name="speed">${speeds}</gx:SimpleArrayData>`,
+      `            <gx:SimpleArrayData name="deliveryId">${deliveryIds}</gx:SimpleArrayData>`,
+      '          </SchemaData>',
+      '        </ExtendedData>',
+      '      </gx:Track>',
+      '    </Placemark>',
+    ].join('\n');
+  }).join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    '    <Schema id="trackPoint">',
+    '      <gx:SimpleArrayField name="speed" type="float"><displayName>Speed (km/h)</displayName></gx:SimpleArrayField>',
+    '      <gx:SimpleArrayField name="deliveryId" type="string"><displayName>Delivery</displayName></gx:SimpleArrayField>',
+    '    </Schema>',
+    placemarks,
+    '  </Document>',
+    '</kml>',
+  ].join('\n');
+};
+
+const SERIALIZERS = { gpx: toGPX, kml: toKML, geojson: toGeoJSON };
+
+// Builds the file for `format` and hands it to the browser as a download
+export const downloadTracks = (tracks, format, baseName) => {
+  const { extension, mimeType } = TRACK_EXPORT_FORMATS[format];
+  downloadFile(SERIALIZERS[format](tracks), `${baseName}.${extension}`, mimeType);
+};
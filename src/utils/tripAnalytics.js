@@ -0,0 +1,90 @@
+import { distanceMeters, hasCoordinates } from './geo';
+
+// Slower than this between two logs counts as idle (about 3.6 km/h)
+const MOVING_SPEED_MPS = 1;
+// Gaps longer than this are the app being offline, not driving or idling
+const MAX_GAP_MS = 15 * 60 * 1000;
+// Faster than this between two logs is a GPS jump, not real travel
+const MAX_PLAUSIBLE_SPEED_MPS = 200 / 3.6;
+// A stop is staying within this radius for at least this long
+const STOP_RADIUS_METERS = 50;
+const STOP_MIN_DURATION_MS = 3 * 60 * 1000;
+
+const nearestDelivery = (point, deliveries) => {
+  let nearest = null;
+  deliveries.filter(hasCoordinates).forEach(delivery => {
+    const distance = distanceMeters(point, delivery);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { delivery, distance };
+    }
+  });
+  return nearest;
+};
+
+const detectStops = (points, deliveries) => {
+  const stops = [];
+  let anchor = 0;
+
+  const closeStop = (endIndex) => {
+    const cluster = points.slice(anchor, endIndex + 1);
+    const duration = cluster[cluster.length - 1].time - cluster[0].time;
+    if (duration < STOP_MIN_DURATION_MS) return;
+
+    const center = {
+      latitude: cluster.reduce((sum, point) => sum + point.latitude, 0) / cluster.length,
+      longitude: cluster.reduce((sum, point) => sum + point.longitude, 0) / cluster.length,
+    };
+    stops.push({
+      ...center,
+      start: cluster[0].time,
+      end: cluster[cluster.length - 1].time,
+      duration,
+      nearestDelivery: nearestDelivery(center, deliveries),
+    });
+  };
+
+  for (let i = 1; i < points.length; i++) {
+    if (distanceMeters(points[anchor], points[i]) > STOP_RADIUS_METERS) {
+      closeStop(i - 1);
+      anchor = i;
+    }
+  }
+  if (points.length > 0) closeStop(points.length - 1);
+
+  return stops;
+};
+
+// Distance, moving/idle split and stops for one driver's day.
+// `points` are track points sorted ascending by `time`; `deliveries` are the
+// driver's deliveries, used to label each stop with the closest destination.
+export const computeTripStats = (points, deliveries = []) => {
+  let distance = 0;
+  let movingTime = 0;
+  let idleTime = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const elapsed = points[i].time - points[i - 1].time;
+    if (elapsed <= 0 || elapsed > MAX_GAP_MS) continue;
+
+    const segment = distanceMeters(points[i - 1], points[i]);
+    const speed = segment / (elapsed / 1000);
+    if (speed > MAX_PLAUSIBLE_SPEED_MPS) continue;
+
+    if (speed >= MOVING_SPEED_MPS) {
+      distance += segment;
+      movingTime += elapsed;
+    } else {
+      idleTime += elapsed;
+    }
+  }
+
+  const stops = detectStops(points, deliveries);
+
+  return {
+    distance,
+    movingTime,
+    idleTime,
+    stops,
+    stopCount: stops.length,
+  };
+};
@@ -0,0 +1,31 @@
+// Fleet vehicles: { id, plate, type, capacityKg, capacityM3, status }.
+// Drivers point at their vehicle with `vehicleId`.
+
+export const VEHICLE_TYPES = {
+  motorcycle: 'Motorcycle',
+  car: 'Car',
+  van: 'Van',
+  pickup: 'Pickup',
+  truck: 'Truck',
+};
+
+export const VEHICLE_STATUSES = {
+  active: { label: 'Active', badgeClass: 'bg-green-100 text-green-800' },
+  maintenance: { label: 'In Maintenance', badgeClass: 'bg-yellow-100 text-yellow-800' },
+  retired: { label: 'Retired', badgeClass: 'bg-gray-100 text-gray-800' },
+};
+
+export const getDriverVehicle = (driver, vehicles) => {
+  if (!driver?.vehicleId) return null;
+  return vehicles.find(vehicle => String(vehicle.id) === String(driver.vehicleId)) || null;
+};
+
+export const getVehicleDriver = (vehicle, drivers) => {
+  return drivers.find(driver => String(driver.vehicleId) === String(vehicle.id)) || null;
+};
+
+// "B 1234 XY (Van)"
+export const formatVehicle = (vehicle) => {
+  if (!vehicle) return 'No vehicle';
+  return `${vehicle.plate} (${VEHICLE_TYPES[vehicle.type] || vehicle.type})`;
+};